@@ -13,23 +13,26 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET,
 });
 
+// Upload options shared by form uploads and images fetched from URLs
+const imageParams = (folder) => ({
+  folder,
+  allowed_formats: ['jpg', 'jpeg', 'png', 'gif', 'webp'],
+  transformation: [
+    { width: 800, height: 600, crop: 'limit' },
+    { quality: 'auto' },
+    { fetch_format: 'auto' }
+  ]
+});
+
 // Configure multer storage for Cloudinary
-const storage = new CloudinaryStorage({
+const createStorage = (folder) => new CloudinaryStorage({
   cloudinary: cloudinary,
-  params: {
-    folder: 'globalitzone/products',
-    allowed_formats: ['jpg', 'jpeg', 'png', 'gif', 'webp'],
-    transformation: [
-      { width: 800, height: 600, crop: 'limit' },
-      { quality: 'auto' },
-      { fetch_format: 'auto' }
-    ]
-  }
+  params: imageParams(folder)
 });
 
 // Configure multer
-const upload = multer({
-  storage: storage,
+const createUpload = (folder) => multer({
+  storage: createStorage(folder),
   limits: {
     fileSize: 5 * 1024 * 1024, // 5MB limit
   },
@@ -43,6 +46,10 @@ const upload = multer({
   }
 });
 
+const upload = createUpload('globalitzone/products');
+const returnsUpload = createUpload('globalitzone/returns');
+const reviewsUpload = createUpload('globalitzone/reviews');
+
 // Error handling middleware for multer
 export const handleUploadError = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
@@ -67,6 +74,27 @@ export const uploadSingle = upload.single('image');
 // Multiple files upload middleware
 export const uploadMultiple = upload.array('images', 5);
 
+// Photos attached to return requests
+export const uploadReturnPhotos = returnsUpload.array('photos', 5);
+
+// Photos attached to product reviews
+export const uploadReviewPhotos = reviewsUpload.array('photos', 5);
+
+// Spreadsheets for the product import, kept in memory rather than uploaded
+export const uploadSpreadsheet = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  }
+}).single('file');
+
+// Fetch an image from a URL into the product images folder.
+// Returns { url, publicId } like a form upload's path and filename.
+export const uploadProductImageFromUrl = async (url) => {
+  const result = await cloudinary.uploader.upload(url, imageParams('globalitzone/products'));
+  return { url: result.secure_url, publicId: result.public_id };
+};
+
 // Delete image from Cloudinary
 export const deleteImage = async (publicId) => {
   try {
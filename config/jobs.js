@@ -0,0 +1,14 @@
+// config/jobs.js
+import dotenv from 'dotenv';
+dotenv.config();
+
+// Background job settings
+const jobConfig = {
+  // Set JOBS_ENABLED=false to run an instance without background jobs
+  enabled: process.env.JOBS_ENABLED !== 'false',
+  // Confirmed bookings are cancelled this many days after their pickup date
+  bookingExpiryDays: parseInt(process.env.BOOKING_EXPIRY_DAYS || '3'),
+  bookingExpiryIntervalMs: parseInt(process.env.BOOKING_EXPIRY_INTERVAL_MS || String(60 * 60 * 1000))
+};
+
+export default jobConfig;
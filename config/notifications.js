@@ -0,0 +1,38 @@
+// config/notifications.js
+import dotenv from 'dotenv';
+dotenv.config();
+
+const list = (value) => (value || '').split(',').map((item) => item.trim()).filter(Boolean);
+
+// Notification channels and transports.
+// EMAIL_TRANSPORT: smtp | console | file; SMS_TRANSPORT: http | console | file
+const notificationConfig = {
+  email: {
+    transport: process.env.EMAIL_TRANSPORT || 'console',
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587'),
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+      from: process.env.EMAIL_FROM || 'Global IT Zone <no-reply@globalitzone.com>'
+    }
+  },
+  sms: {
+    transport: process.env.SMS_TRANSPORT || 'console',
+    http: {
+      url: process.env.SMS_HTTP_URL,
+      token: process.env.SMS_HTTP_TOKEN,
+      sender: process.env.SMS_SENDER_ID || 'GITZON'
+    }
+  },
+  file: process.env.NOTIFY_FILE || 'logs/notifications.log',
+  // Staff recipients of new booking copies
+  adminEmails: list(process.env.ADMIN_NOTIFY_EMAILS),
+  adminPhones: list(process.env.ADMIN_NOTIFY_PHONES),
+  maxAttempts: parseInt(process.env.NOTIFY_MAX_ATTEMPTS || '5'),
+  // Retry delay doubles with every failed attempt
+  retryBaseDelayMs: parseInt(process.env.NOTIFY_RETRY_DELAY_MS || String(60 * 1000))
+};
+
+export default notificationConfig;
@@ -0,0 +1,22 @@
+// config/payments.js
+import dotenv from 'dotenv';
+dotenv.config();
+
+const isProduction = process.env.NODE_ENV === 'production';
+
+// Online payment settings. PAYMENT_PROVIDER: mock (built-in test gateway)
+const paymentConfig = {
+  provider: process.env.PAYMENT_PROVIDER || 'mock',
+  currency: process.env.PAYMENT_CURRENCY || 'INR',
+  // Shared secret webhooks are signed with (HMAC-SHA256). The mock gateway
+  // falls back to a fixed development secret outside production.
+  webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET || (isProduction ? '' : 'mock_webhook_secret'),
+  // Online bookings not paid within this many minutes are cancelled
+  paymentTimeoutMinutes: parseInt(process.env.PAYMENT_TIMEOUT_MINUTES || '30'),
+  // The mock gateway's checkout pages, off in production unless enabled
+  mockCheckoutEnabled: process.env.PAYMENT_MOCK_CHECKOUT
+    ? process.env.PAYMENT_MOCK_CHECKOUT === 'true'
+    : !isProduction
+};
+
+export default paymentConfig;
@@ -0,0 +1,23 @@
+// config/store.js
+import dotenv from 'dotenv';
+dotenv.config();
+
+// Store details printed on invoices and customer-facing documents
+const store = {
+  name: process.env.STORE_NAME || 'Global IT Zone',
+  address: process.env.STORE_ADDRESS || '',
+  city: process.env.STORE_CITY || '',
+  state: process.env.STORE_STATE || '',
+  phone: process.env.STORE_PHONE || '',
+  email: process.env.STORE_EMAIL || '',
+  gstin: process.env.STORE_GSTIN || '',
+  // GST rate (%) applied to tax-inclusive booking prices
+  gstRate: parseFloat(process.env.GST_RATE || '18'),
+  invoicePrefix: process.env.INVOICE_PREFIX || 'GIT',
+  // Storefront the product feeds and sitemap link to (no trailing slash)
+  websiteUrl: (process.env.STORE_WEBSITE_URL || process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, ''),
+  // Time zone used to bucket dates in reports
+  timezone: process.env.STORE_TIMEZONE || 'Asia/Kolkata'
+};
+
+export default store;
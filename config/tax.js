@@ -0,0 +1,36 @@
+// config/tax.js
+import dotenv from 'dotenv';
+import store from './store.js';
+import { resolveStateCode } from '../utils/gstStates.js';
+dotenv.config();
+
+// GST rates (%) a product may carry
+export const GST_RATES = [0, 0.25, 3, 5, 12, 18, 28];
+
+// GST settings. Product prices include GST unless PRICES_INCLUDE_TAX=false,
+// in which case GST is added on top at booking time.
+const taxConfig = {
+  pricesIncludeTax: process.env.PRICES_INCLUDE_TAX !== 'false',
+  // Rate for products and categories without their own
+  defaultRate: store.gstRate,
+  // Supplies to customers in other states are charged IGST instead of
+  // CGST + SGST. Taken from STORE_STATE_CODE, the GSTIN or STORE_STATE.
+  storeStateCode: resolveStateCode(process.env.STORE_STATE_CODE)
+    || (store.gstin ? resolveStateCode(store.gstin.slice(0, 2)) : null)
+    || resolveStateCode(store.state),
+  // HSN code and GST rate per category for products without their own
+  categories: {
+    Laptops: { hsnCode: '8471', gstRate: 18 },
+    Desktops: { hsnCode: '8471', gstRate: 18 },
+    Security: { hsnCode: '8525', gstRate: 18 },
+    Accessories: { hsnCode: '8473', gstRate: 18 },
+    Audio: { hsnCode: '8518', gstRate: 18 },
+    Networking: { hsnCode: '8517', gstRate: 18 },
+    Components: { hsnCode: '8473', gstRate: 18 },
+    Monitors: { hsnCode: '8528', gstRate: 18 },
+    Storage: { hsnCode: '8523', gstRate: 18 },
+    Gaming: { hsnCode: '9504', gstRate: 18 }
+  }
+};
+
+export default taxConfig;
@@ -0,0 +1,64 @@
+import { body } from 'express-validator';
+import {
+  PRODUCT_AVAILABILITY,
+  PRODUCT_CATEGORIES,
+  PRODUCT_CONDITIONS,
+  PRODUCT_TYPES,
+  SKU_PATTERN
+} from '../models/Product.js';
+import { GST_RATES } from '../config/tax.js';
+
+// Multipart forms and spreadsheet cells send variants as a JSON string
+const parseVariants = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return value;
+  }
+};
+
+// Validation of the `variants` list of a product. Attribute names are
+// lowercased (RAM and ram are the same attribute); an _id keeps an existing
+// variant, which carts and bookings refer to.
+const variantRules = [
+  body('variants').optional().customSanitizer(parseVariants).isArray({ max: 50 }).withMessage('Variants must be an array of at most 50 variants'),
+  body('variants.*._id').optional().isMongoId().withMessage('Invalid variant ID'),
+  body('variants.*.sku').trim().toUpperCase().matches(SKU_PATTERN).withMessage('SKU must be 2-40 letters, digits, dashes or underscores'),
+  body('variants.*.attributes').optional()
+    .isObject().withMessage('Variant attributes must be an object')
+    .customSanitizer((attributes) => Object.fromEntries(
+      Object.entries(attributes).map(([name, value]) => [name.trim().toLowerCase(), String(value).trim()])
+    ))
+    .custom((attributes) => Object.keys(attributes).every((name) => /^[a-z][a-z0-9_]{0,29}$/.test(name)))
+    .withMessage('Variant attribute names must be letters, digits or underscores'),
+  body('variants.*.price').isFloat({ min: 0 }).withMessage('Variant price must be a positive number'),
+  body('variants.*.originalPrice').optional().isFloat({ min: 0 }).withMessage('Variant original price must be a positive number'),
+  body('variants.*.stock').optional().isInt({ min: 0 }).withMessage('Variant stock must be a non-negative integer'),
+  body('variants.*.images').optional().isArray({ max: 5 }).withMessage('Variant images must be an array of at most 5 URLs'),
+  body('variants.*.images.*').isURL().withMessage('Variant image must be a URL'),
+  body('variants.*.isActive').optional().isBoolean().withMessage('isActive must be true or false')
+];
+
+// Validation of the product fields set when creating a product (name,
+// description, category, condition and type required) or updating one
+// (`optional`, everything optional). Shared by the product routes and the
+// bulk import, which runs them on every spreadsheet row.
+export const productRules = ({ optional = false } = {}) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    body('sku').optional().trim().toUpperCase().matches(SKU_PATTERN).withMessage('SKU must be 2-40 letters, digits, dashes or underscores'),
+    field('name').trim().isLength({ min: 2, max: 100 }).withMessage('Product name must be between 2 and 100 characters'),
+    field('description').trim().isLength({ min: 10, max: 1000 }).withMessage('Description must be between 10 and 1000 characters'),
+    field('category').isIn(PRODUCT_CATEGORIES).withMessage('Invalid category'),
+    field('condition').isIn(PRODUCT_CONDITIONS).withMessage('Invalid condition'),
+    field('type').isIn(PRODUCT_TYPES).withMessage('Invalid type'),
+    body('availability').optional().isIn(PRODUCT_AVAILABILITY).withMessage('Invalid availability status'),
+    body('price').optional().isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+    body('stock').optional().isInt({ min: 0 }).withMessage('Stock must be a non-negative integer'),
+    body('hsnCode').optional().trim().matches(/^\d{4,8}$/).withMessage('HSN/SAC code must be 4 to 8 digits'),
+    body('gstRate').optional().isIn(GST_RATES.map(String)).withMessage(`GST rate must be one of ${GST_RATES.join(', ')}`),
+    ...variantRules
+  ];
+};
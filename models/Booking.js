@@ -1,7 +1,229 @@
 import mongoose from 'mongoose';
 
+// Booking lifecycle
+export const BOOKING_STATUSES = [
+  'pending',
+  'confirmed',
+  'ready_for_pickup',
+  'out_for_delivery',
+  'completed',
+  'cancelled',
+  'returned',
+  'refunded'
+];
+
+// Allowed status changes: current status -> statuses it may move to
+export const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['ready_for_pickup', 'out_for_delivery', 'completed', 'cancelled'],
+  ready_for_pickup: ['out_for_delivery', 'completed', 'cancelled'],
+  out_for_delivery: ['ready_for_pickup', 'completed', 'cancelled'],
+  completed: ['returned'],
+  cancelled: [],
+  returned: ['refunded'],
+  refunded: []
+};
+
+// How the customer pays: at the counter on pickup, or online when booking
+export const PAYMENT_METHODS = ['pay_at_store', 'online'];
+
+// Online payment lifecycle. 'none' for bookings paid at the store.
+export const PAYMENT_STATUSES = ['none', 'pending', 'paid', 'failed', 'refund_pending', 'refunded'];
+
+const statusHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: BOOKING_STATUSES,
+    required: true
+  },
+  from: {
+    type: String,
+    enum: BOOKING_STATUSES
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  reason: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+// Online payment of a booking at the payment gateway
+const paymentSchema = new mongoose.Schema({
+  provider: String,
+  // Current gateway order; earlier orders of retried payments are kept in
+  // orderIds so their late webhooks can still be matched
+  orderId: String,
+  orderIds: [String],
+  amount: Number,
+  currency: String,
+  paymentId: String,
+  paidAt: Date,
+  failedAt: Date,
+  failureReason: String,
+  refundAmount: Number,
+  refundId: String,
+  refundRequestedAt: Date,
+  refundedAt: Date,
+  refundError: String
+}, { _id: false });
+
+// GST charged on a booking, computed when it is made
+const taxSchema = new mongoose.Schema({
+  // Whether the prices charged already contained the GST
+  pricesIncludeTax: Boolean,
+  // 'intra_state' (CGST + SGST) or 'inter_state' (IGST)
+  supplyType: {
+    type: String,
+    enum: ['intra_state', 'inter_state']
+  },
+  // GST state code and name of the customer's state
+  placeOfSupply: String,
+  placeOfSupplyName: String,
+  taxableValue: Number,
+  cgst: Number,
+  sgst: Number,
+  igst: Number,
+  totalTax: Number
+}, { _id: false });
+
+// Cancellation fee charged under the store's cancellation policy
+const cancellationSchema = new mongoose.Schema({
+  fee: {
+    type: Number,
+    default: 0,
+    min: [0, 'Cancellation fee cannot be negative']
+  },
+  // Part of the online payment given back; 0 for bookings paid at the store
+  refundableAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Refundable amount cannot be negative']
+  },
+  // Policy the fee was worked out with
+  feeType: {
+    type: String,
+    enum: ['percentage', 'flat']
+  },
+  feeValue: Number,
+  freeCancellationHours: Number,
+  // Hours left until the booking date when it was cancelled
+  hoursBeforeBooking: Number,
+  // Fee waived by an admin
+  feeWaived: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+// One product on a booking, priced at order time
+const lineItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: {
+    type: String,
+    required: true
+  },
+  productImage: String,
+  productCategory: {
+    type: String,
+    required: true
+  },
+  // Variant of products sold in variants, with its SKU and name at order time
+  variantId: mongoose.Schema.Types.ObjectId,
+  variantSku: String,
+  variantName: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  // Units brought back by inspected returns
+  returnedQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Returned quantity cannot be negative']
+  },
+  strikePrice: {
+    type: Number,
+    required: true,
+    min: [0, 'Strike price cannot be negative']
+  },
+  sellingPrice: {
+    type: Number,
+    required: true,
+    min: [0, 'Selling price cannot be negative']
+  },
+  actualPrice: {
+    type: Number,
+    required: true,
+    min: [0, 'Actual price cannot be negative']
+  },
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: [0, 'Total amount cannot be negative']
+  },
+  discountPercentage: {
+    type: Number,
+    default: 0
+  },
+  // GST on the line, after its share of any promo discount
+  hsnCode: String,
+  gstRate: Number,
+  taxableValue: Number,
+  cgst: Number,
+  sgst: Number,
+  igst: Number
+});
+
+// Aggregation expression yielding a booking's line items, falling back to the
+// top-level product fields for bookings created before `items` existed
+export const LINE_ITEMS_EXPRESSION = {
+  $cond: [
+    { $gt: [{ $size: { $ifNull: ['$items', []] } }, 0] },
+    '$items',
+    [{
+      productId: '$productId',
+      productName: '$productName',
+      productImage: '$productImage',
+      productCategory: '$productCategory',
+      quantity: '$quantity',
+      returnedQuantity: '$returnedQuantity',
+      strikePrice: '$strikePrice',
+      sellingPrice: '$sellingPrice',
+      actualPrice: '$actualPrice',
+      totalAmount: '$totalAmount',
+      discountPercentage: '$discountPercentage'
+    }]
+  ]
+};
+
+// Copy of a saved address taken when the booking is made
+const addressSnapshotSchema = new mongoose.Schema({
+  addressId: mongoose.Schema.Types.ObjectId,
+  label: String,
+  line1: String,
+  line2: String,
+  landmark: String,
+  city: String,
+  state: String,
+  pinCode: String
+}, { _id: false });
+
 const bookingSchema = new mongoose.Schema({
   // Product Information
+  // For multi-item bookings these describe the first line item; the full
+  // list is in `items`
   productId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Product',
@@ -41,24 +263,49 @@ const bookingSchema = new mongoose.Schema({
     required: [true, 'Address is required'],
     trim: true
   },
+  // Structured address when booked with a saved address
+  deliveryAddress: addressSnapshotSchema,
+  // State the customer is in, for the GST place of supply
+  customerState: {
+    type: String,
+    trim: true
+  },
+
+  // Line items (one per product)
+  items: [lineItemSchema],
 
   // Order Details
+  // Total units across all line items
   quantity: {
     type: Number,
     required: true,
     min: [1, 'Quantity must be at least 1'],
     default: 1
   },
+  // Units returned across all line items. A completed booking stays
+  // completed while only part of it has been returned.
+  returnedQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Returned quantity cannot be negative']
+  },
   bookingDate: {
     type: Date,
     required: [true, 'Booking date is required']
   },
+  // Start of the pickup slot holding a place for this booking
+  pickupSlot: Date,
   orderDate: {
     type: Date,
     default: Date.now
   },
 
   // Pricing Information
+  // actualPrice, totalAmount and discountPercentage are order totals;
+  // strikePrice and sellingPrice are the unit prices of the first line item.
+  // totalAmount is what the customer pays: after the promo discount and
+  // including GST. discountPercentage is the product discount relative to
+  // MRP only.
   actualPrice: {
     type: Number,
     required: true,
@@ -86,6 +333,24 @@ const bookingSchema = new mongoose.Schema({
     max: [100, 'Discount percentage cannot exceed 100%']
   },
 
+  // Promo code applied when booking
+  promoCode: {
+    type: String,
+    uppercase: true
+  },
+  promoCodeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode'
+  },
+  promoDiscount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Promo discount cannot be negative']
+  },
+
+  // GST breakdown; per-line values are on the line items
+  tax: taxSchema,
+
   // Auto-generated unique Coupon Code
   couponCode: {
     type: String,
@@ -96,13 +361,46 @@ const bookingSchema = new mongoose.Schema({
     }
   },
 
-  // Order Status - UPDATED to include 'completed'
+  // Order Status
   status: {
     type: String,
-    enum: ['confirmed', 'cancelled', 'completed'],
+    enum: BOOKING_STATUSES,
     default: 'confirmed'
   },
 
+  // Every status change, oldest first
+  statusHistory: [statusHistorySchema],
+
+  paymentMethod: {
+    type: String,
+    enum: PAYMENT_METHODS,
+    default: 'pay_at_store'
+  },
+  paymentStatus: {
+    type: String,
+    enum: PAYMENT_STATUSES,
+    default: 'none'
+  },
+  // Gateway details of an online payment
+  payment: paymentSchema,
+
+  // Stock held for this booking: 'reserved' on create, 'released' back to the
+  // product on cancel, 'consumed' on completion. 'none' for bookings made
+  // before stock reservation existed, which must never be restocked.
+  stockStatus: {
+    type: String,
+    enum: ['none', 'reserved', 'released', 'consumed'],
+    default: 'none'
+  },
+
+  // Invoice, assigned when the booking is completed
+  invoiceNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  invoiceDate: Date,
+
   // Additional Information
   notes: {
     type: String,
@@ -112,7 +410,14 @@ const bookingSchema = new mongoose.Schema({
   // Timestamps for status changes
   cancelledAt: Date,
   cancellationReason: String,
-  completedAt: Date
+  cancellation: cancellationSchema,
+  completedAt: Date,
+  returnedAt: Date,
+  refundedAt: Date,
+  refundAmount: {
+    type: Number,
+    min: [0, 'Refund amount cannot be negative']
+  }
 
 }, {
   timestamps: true
@@ -121,8 +426,14 @@ const bookingSchema = new mongoose.Schema({
 // Indexes for better query performance
 bookingSchema.index({ userId: 1 });
 bookingSchema.index({ productId: 1 });
+bookingSchema.index({ 'items.productId': 1 });
 bookingSchema.index({ status: 1 });
 bookingSchema.index({ orderDate: -1 });
+bookingSchema.index({ bookingDate: -1 });
+bookingSchema.index({ userId: 1, orderDate: -1 });
+bookingSchema.index({ 'payment.orderIds': 1 });
+bookingSchema.index({ promoCodeId: 1, userId: 1 });
+bookingSchema.index({ paymentStatus: 1, status: 1 });
 
 // Function to generate a unique coupon code
 function generateCouponCode() {
@@ -132,16 +443,80 @@ function generateCouponCode() {
   return `${prefix}-${timestamp}-${random}`;
 }
 
+// Line items of the booking; bookings created before multi-item support
+// only have the top-level product fields
+bookingSchema.virtual('lineItems').get(function() {
+  if (this.items && this.items.length > 0) {
+    return this.items;
+  }
+
+  return [{
+    productId: this.productId,
+    productName: this.productName,
+    productImage: this.productImage,
+    productCategory: this.productCategory,
+    quantity: this.quantity,
+    returnedQuantity: this.returnedQuantity,
+    strikePrice: this.strikePrice,
+    sellingPrice: this.sellingPrice,
+    actualPrice: this.actualPrice,
+    totalAmount: this.totalAmount,
+    discountPercentage: this.discountPercentage
+  }];
+});
+
+// Record the initial status of a new booking
+bookingSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      status: this.status,
+      changedBy: this.userId,
+      reason: 'Booking created'
+    });
+  }
+  next();
+});
+
+// Statuses a booking in `status` may move to
+bookingSchema.statics.allowedTransitions = function(status) {
+  return STATUS_TRANSITIONS[status] || [];
+};
+
+// Check whether the booking may move to a new status
+bookingSchema.methods.canTransitionTo = function(newStatus) {
+  return this.constructor.allowedTransitions(this.status).includes(newStatus);
+};
+
 // Method to update booking status
-bookingSchema.methods.updateStatus = function(newStatus) {
+// Enforces the transition table and appends to the status history.
+bookingSchema.methods.updateStatus = function(newStatus, { changedBy, reason } = {}) {
+  if (!this.canTransitionTo(newStatus)) {
+    const error = new Error(`Cannot change booking status from ${this.status} to ${newStatus}`);
+    error.name = 'InvalidStatusTransition';
+    throw error;
+  }
+
+  const now = new Date();
+
+  this.statusHistory.push({
+    status: newStatus,
+    from: this.status,
+    changedBy,
+    changedAt: now,
+    reason
+  });
   this.status = newStatus;
-  
+
   if (newStatus === 'cancelled') {
-    this.cancelledAt = new Date();
+    this.cancelledAt = now;
   } else if (newStatus === 'completed') {
-    this.completedAt = new Date();
+    this.completedAt = now;
+  } else if (newStatus === 'returned') {
+    this.returnedAt = now;
+  } else if (newStatus === 'refunded') {
+    this.refundedAt = now;
   }
-  
+
   return this.save();
 };
 
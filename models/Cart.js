@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+const cartItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Chosen variant of products sold in variants
+  variantId: mongoose.Schema.Types.ObjectId,
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1'],
+    default: 1
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// One persistent cart per user. Only product references and quantities are
+// stored; prices are always read from the current Product documents.
+const cartSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  items: [cartItemSchema]
+}, {
+  timestamps: true
+});
+
+// Get the user's cart, creating an empty one if needed
+cartSchema.statics.forUser = function(userId) {
+  return this.findOneAndUpdate(
+    { userId },
+    { $setOnInsert: { userId, items: [] } },
+    { new: true, upsert: true }
+  );
+};
+
+// Find the entry for a product (and variant) in the cart
+cartSchema.methods.findItem = function(productId, variantId) {
+  return this.items.find((item) => item.productId.toString() === productId.toString()
+    && String(item.variantId || '') === String(variantId || ''));
+};
+
+export default mongoose.model('Cart', cartSchema);
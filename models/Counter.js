@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+// Named sequences (e.g. invoice numbers per financial year)
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Atomically increment a sequence and return the new value.
+// Pass the session of the surrounding transaction so an aborted transaction
+// also rolls back the increment and no number is ever skipped.
+counterSchema.statics.next = async function(name, session) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+};
+
+export default mongoose.model('Counter', counterSchema);
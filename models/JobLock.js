@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+
+// Lock and schedule state of a background job, one document per job.
+// Shared by all server instances so each run happens on only one of them.
+const jobLockSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  lockedBy: String,
+  lockedUntil: Date,
+  nextRunAt: Date,
+  lastRunAt: Date,
+  lastSuccessAt: Date,
+  lastError: String,
+  lastResult: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+// Take the lock of a job that is due and not locked by another instance.
+// Returns the lock document, or null if the job is not ours to run now.
+jobLockSchema.statics.acquire = async function(name, owner, lockMs) {
+  const now = new Date();
+
+  try {
+    return await this.findOneAndUpdate(
+      {
+        _id: name,
+        $and: [
+          { $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+          { $or: [{ nextRunAt: null }, { nextRunAt: { $lte: now } }] }
+        ]
+      },
+      {
+        $set: {
+          lockedBy: owner,
+          lockedUntil: new Date(now.getTime() + lockMs),
+          lastRunAt: now
+        }
+      },
+      { new: true, upsert: true }
+    );
+  } catch (error) {
+    // Another instance holds the lock (the upsert hit the existing document)
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Release a job's lock and schedule its next run
+jobLockSchema.statics.release = function(name, owner, { nextRunAt, error, result }) {
+  const update = {
+    $set: { nextRunAt, lockedUntil: null },
+    $unset: { lockedBy: 1 }
+  };
+
+  if (error) {
+    update.$set.lastError = error.message;
+  } else {
+    update.$set.lastSuccessAt = new Date();
+    update.$set.lastResult = result;
+    update.$unset.lastError = 1;
+  }
+
+  return this.updateOne({ _id: name, lockedBy: owner }, update);
+};
+
+export default mongoose.model('JobLock', jobLockSchema);
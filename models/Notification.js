@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+// Outbox of customer and staff notifications.
+// Messages are rendered when queued and delivered (with retries) by the
+// notification service.
+const notificationSchema = new mongoose.Schema({
+  event: {
+    type: String,
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'sms'],
+    required: true
+  },
+  to: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  subject: String,
+  body: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  sentAt: Date,
+  lastError: String,
+  transport: String,
+  providerMessageId: String,
+
+  // What the notification is about
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ bookingId: 1 });
+
+export default mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+// Payment gateway webhook events that were processed, keyed by
+// '<provider>:<event id>'. Gateways deliver events at least once, so a
+// redelivered event is recognised here and not applied twice.
+const paymentEventSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  provider: String,
+  type: String,
+  orderId: String,
+  paymentId: String,
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  // What processing did with the event, e.g. 'paid' or 'ignored'
+  outcome: String,
+  payload: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+paymentEventSchema.index({ bookingId: 1 });
+
+export default mongoose.model('PaymentEvent', paymentEventSchema);
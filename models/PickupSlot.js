@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+// Number of bookings holding each pickup slot, keyed by slot start time.
+// Kept as a counter so capacity can be enforced atomically.
+const pickupSlotSchema = new mongoose.Schema({
+  _id: {
+    type: Date,
+    required: true
+  },
+  booked: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Take one place in a slot if it has fewer than `capacity` bookings.
+// Returns the updated slot, or null when the slot is full.
+pickupSlotSchema.statics.reserve = async function(start, capacity, session) {
+  try {
+    return await this.findOneAndUpdate(
+      { _id: start, booked: { $lt: capacity } },
+      { $inc: { booked: 1 } },
+      { new: true, upsert: true, session }
+    );
+  } catch (error) {
+    // The upsert collides with the existing, full slot
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Give a place in a slot back (e.g. when a booking is cancelled)
+pickupSlotSchema.statics.release = function(start, session) {
+  return this.updateOne(
+    { _id: start, booked: { $gt: 0 } },
+    { $inc: { booked: -1 } },
+    { session }
+  );
+};
+
+export default mongoose.model('PickupSlot', pickupSlotSchema);
@@ -1,4 +1,58 @@
 import mongoose from 'mongoose';
+import { GST_RATES } from '../config/tax.js';
+
+export const PRODUCT_CATEGORIES = [
+    'Laptops', 'Desktops', 'Security', 'Accessories', 'Audio',
+    'Networking', 'Components', 'Monitors', 'Storage', 'Gaming'
+];
+export const PRODUCT_CONDITIONS = ['New', 'Excellent', 'Very Good', 'Good', 'Fair'];
+export const PRODUCT_TYPES = ['Second Hand', 'New/Refurbished', 'Spare Parts', 'Refurbished'];
+export const PRODUCT_AVAILABILITY = ['Available', 'Out of Stock', 'Discontinued'];
+export const SKU_PATTERN = /^[A-Z0-9][A-Z0-9_-]{1,39}$/;
+
+// A configuration of a product sold at its own price and stock, e.g. a
+// laptop with 16GB RAM / 512GB storage. Bookings reference the variant by _id.
+const variantSchema = new mongoose.Schema({
+    sku: {
+        type: String,
+        required: [true, 'Variant SKU is required'],
+        trim: true,
+        uppercase: true,
+        match: [SKU_PATTERN, 'SKU must be 2-40 letters, digits, dashes or underscores']
+    },
+    // Attribute name (lowercase, e.g. 'ram', 'storage', 'colour') to value
+    attributes: {
+        type: Map,
+        of: String,
+        default: {}
+    },
+    price: {
+        type: Number,
+        min: [0, 'Price cannot be negative']
+    },
+    originalPrice: {
+        type: Number,
+        min: [0, 'Original price cannot be negative']
+    },
+    stock: {
+        type: Number,
+        default: 0,
+        min: [0, 'Stock cannot be negative']
+    },
+    // Shown instead of the product images when the variant is chosen
+    images: [String],
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    toJSON: { virtuals: true }
+});
+
+// "16GB / 512GB / Black"
+variantSchema.virtual('name').get(function() {
+    return Array.from(this.attributes.values()).join(' / ') || this.sku;
+});
 
 const productSchema = new mongoose.Schema({
     name: {
@@ -7,6 +61,13 @@ const productSchema = new mongoose.Schema({
         trim: true,
         maxlength: [100, 'Product name cannot be more than 100 characters']
     },
+    // Stock keeping unit; bulk imports match existing products by it
+    sku: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        match: [SKU_PATTERN, 'SKU must be 2-40 letters, digits, dashes or underscores']
+    },
     description: {
         type: String,
         required: [true, 'Product description is required'],
@@ -16,24 +77,21 @@ const productSchema = new mongoose.Schema({
     category: {
         type: String,
         required: [true, 'Product category is required'],
-        enum: [
-            'Laptops', 'Desktops', 'Security', 'Accessories', 'Audio',
-            'Networking', 'Components', 'Monitors', 'Storage', 'Gaming'
-        ]
+        enum: PRODUCT_CATEGORIES
     },
     condition: {
         type: String,
         required: [true, 'Product condition is required'],
-        enum: ['New', 'Excellent', 'Very Good', 'Good', 'Fair']
+        enum: PRODUCT_CONDITIONS
     },
     type: {
         type: String,
         required: [true, 'Product type is required'],
-        enum: ['Second Hand', 'New/Refurbished', 'Spare Parts', 'Refurbished']
+        enum: PRODUCT_TYPES
     },
     availability: {
         type: String,
-        enum: ['Available', 'Out of Stock', 'Discontinued'],
+        enum: PRODUCT_AVAILABILITY,
         default: 'Available'
     },
     features: [{
@@ -68,6 +126,16 @@ const productSchema = new mongoose.Schema({
         default: 1,
         min: [0, 'Stock cannot be negative']
     },
+    // GST classification; the category default applies when not set
+    hsnCode: {
+        type: String,
+        trim: true,
+        match: [/^\d{4,8}$/, 'HSN/SAC code must be 4 to 8 digits']
+    },
+    gstRate: {
+        type: Number,
+        enum: GST_RATES
+    },
     specifications: {
         brand: String,
         model: String,
@@ -82,6 +150,9 @@ const productSchema = new mongoose.Schema({
         trim: true,
         lowercase: true
     }],
+    // With variants, price, originalPrice and stock above summarise them: the
+    // cheapest active variant's prices and the stock of all active variants
+    variants: [variantSchema],
     isActive: {
         type: Boolean,
         default: true
@@ -90,9 +161,23 @@ const productSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    // Number of wishlists the product is on (ProductLike documents)
     likes: {
         type: Number,
-        default: 0
+        default: 0,
+        min: [0, 'Likes cannot be negative']
+    },
+    // Approved reviews (kept in step by the review service)
+    averageRating: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 5
+    },
+    reviewCount: {
+        type: Number,
+        default: 0,
+        min: 0
     },
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
@@ -109,7 +194,82 @@ productSchema.index({ condition: 1 });
 productSchema.index({ type: 1 });
 productSchema.index({ availability: 1 });
 productSchema.index({ isActive: 1 });
-productSchema.index({ name: 'text', description: 'text', category: 'text' });
+// Full-text search, weighted towards the name, brand and model. A collection
+// has only one text index: run scripts/syncProductIndexes.js to replace an
+// older one.
+productSchema.index({
+    name: 'text',
+    'specifications.brand': 'text',
+    'specifications.model': 'text',
+    tags: 'text',
+    category: 'text',
+    features: 'text',
+    description: 'text'
+}, {
+    name: 'product_search',
+    weights: {
+        name: 10,
+        'specifications.brand': 8,
+        'specifications.model': 8,
+        tags: 5,
+        category: 3,
+        features: 2,
+        description: 1
+    }
+});
+productSchema.index({ 'specifications.brand': 1 });
+productSchema.index({ price: 1 });
+productSchema.index({ tags: 1 });
+productSchema.index({ averageRating: -1, reviewCount: -1 });
+
+productSchema.index(
+    { sku: 1 },
+    { unique: true, partialFilterExpression: { sku: { $exists: true } } }
+);
+productSchema.index(
+    { 'variants.sku': 1 },
+    { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
+
+// Keep the product-level price and stock in step with the variants, and
+// reject SKUs repeated within the product
+productSchema.pre('validate', function(next) {
+    if (this.variants.length === 0) return next();
+
+    const skus = this.variants.map(variant => variant.sku);
+    if (new Set(skus).size !== skus.length) {
+        this.invalidate('variants', 'Variant SKUs must be unique');
+    }
+
+    const active = this.variants.filter(variant => variant.isActive);
+    this.stock = active.reduce((sum, variant) => sum + (variant.stock || 0), 0);
+
+    const priced = active.filter(variant => variant.price != null);
+    if (priced.length > 0) {
+        const cheapest = priced.reduce((min, variant) => (variant.price < min.price ? variant : min));
+        this.price = cheapest.price;
+        this.originalPrice = cheapest.originalPrice;
+    }
+
+    if (this.stock === 0 && this.availability === 'Available') {
+        this.availability = 'Out of Stock';
+    } else if (this.stock > 0 && this.availability === 'Out of Stock') {
+        this.availability = 'Available';
+    }
+
+    next();
+});
+
+// Active variant by id, or undefined
+productSchema.methods.findVariant = function(variantId) {
+    const variant = this.variants.id(variantId);
+    return variant && variant.isActive ? variant : undefined;
+};
+
+// Whether the product is sold in variants (and a booking must pick one)
+productSchema.methods.hasVariants = function() {
+    return this.variants.some(variant => variant.isActive);
+};
 
 // Virtual for formatted price
 productSchema.virtual('formattedPrice').get(function() {
@@ -125,10 +285,194 @@ productSchema.methods.incrementViews = function() {
     return this.save();
 };
 
-// Method to toggle like
-productSchema.methods.toggleLike = function() {
-    this.likes += 1;
-    return this.save();
+// Update stage changing the stock by `change` units, of the product and,
+// for a variant, of the variant too. Availability flips to 'Out of Stock' when
+// the stock runs out and back to 'Available' when units return; 'Discontinued'
+// products keep their availability.
+const stockChange = (change, variantId) => {
+    const stock = { $add: [{ $ifNull: ['$stock', 0] }, change] };
+    const update = {
+        stock,
+        availability: {
+            $switch: {
+                branches: [
+                    { case: { $and: [{ $lte: [stock, 0] }, { $eq: ['$availability', 'Available'] }] }, then: 'Out of Stock' },
+                    { case: { $and: [{ $gt: [stock, 0] }, { $eq: ['$availability', 'Out of Stock'] }] }, then: 'Available' }
+                ],
+                default: '$availability'
+            }
+        }
+    };
+
+    if (variantId) {
+        update.variants = {
+            $map: {
+                input: '$variants',
+                as: 'variant',
+                in: {
+                    $cond: [
+                        { $eq: ['$$variant._id', variantId] },
+                        { $mergeObjects: ['$$variant', { stock: { $add: ['$$variant.stock', change] } }] },
+                        '$$variant'
+                    ]
+                }
+            }
+        };
+    }
+
+    return [{ $set: update }];
 };
 
+// Atomically take `quantity` units out of stock, of `variantId` for products
+// sold in variants.
+// The stock check and decrement happen in a single update so two concurrent
+// bookings can never both take the last unit. Availability flips to
+// 'Out of Stock' when stock reaches zero. Returns the updated product, or null
+// if the product (or variant) is inactive, unavailable or has insufficient
+// stock.
+productSchema.statics.reserveStock = function(productId, quantity, session, variantId) {
+    const filter = {
+        _id: productId,
+        isActive: true,
+        availability: 'Available',
+        stock: { $gte: quantity }
+    };
+
+    const id = variantId ? new mongoose.Types.ObjectId(variantId) : null;
+    if (id) {
+        filter.variants = { $elemMatch: { _id: id, isActive: true, stock: { $gte: quantity } } };
+    }
+
+    return this.findOneAndUpdate(filter, stockChange(-quantity, id), { new: true, session });
+};
+
+// Atomically add `change` units (negative to take units away) to the stock
+// of a product without variants, e.g. a stock count from a bulk import.
+// Units held by bookings are already out of `stock`, so they are never given
+// back. Returns the updated product, or null if it has fewer units than
+// taken away.
+productSchema.statics.adjustStock = function(productId, change) {
+    const filter = { _id: productId, 'variants.isActive': { $ne: true } };
+    if (change < 0) filter.stock = { $gte: -change };
+
+    return this.findOneAndUpdate(filter, stockChange(change), { new: true });
+};
+
+// Put `quantity` units back into stock, e.g. when a booking is cancelled.
+// A product that went 'Out of Stock' becomes 'Available' again; 'Discontinued'
+// products keep their availability. Units of a variant that has since been
+// removed are not restocked (returns null).
+productSchema.statics.releaseStock = function(productId, quantity, session, variantId) {
+    const id = variantId ? new mongoose.Types.ObjectId(variantId) : null;
+    const filter = id ? { _id: productId, 'variants._id': id } : { _id: productId };
+
+    return this.findOneAndUpdate(filter, stockChange(quantity, id), { new: true, session });
+};
+
+// Stock of a product and of each of its variants by _id
+const stockLevels = (product) => ({
+    stock: product.stock || 0,
+    variants: new Map((product.variants || []).map(variant => [String(variant._id), variant.stock || 0]))
+});
+
+// Remember the stock a product was loaded with, for saveKeepingStock()
+productSchema.post('init', function() {
+    this.$locals.loadedStock = stockLevels(this);
+});
+
+// Save a product loaded earlier without writing back stock that bookings have
+// changed since: reserveStock and releaseStock only update the database.
+// Stock set on the document counts as a change from what was loaded and is
+// applied to the stock read right before saving, as are variants kept by
+// their _id. The save only goes through while the stock is still what was
+// read, and is retried otherwise.
+productSchema.methods.saveKeepingStock = async function() {
+    const loaded = this.$locals.loadedStock;
+    if (this.isNew || !loaded) return this.save();
+
+    const ownChange = this.stock - loaded.stock;
+    const variantChanges = new Map(this.variants
+        .filter(variant => loaded.variants.has(String(variant._id)))
+        .map(variant => [String(variant._id), variant.stock - loaded.variants.get(String(variant._id))]));
+
+    for (let attempt = 1; ; attempt += 1) {
+        const live = await this.constructor.findById(this._id).select('stock variants._id variants.stock').lean();
+        if (!live) return this.save();
+
+        const current = stockLevels(live);
+        this.stock = Math.max(0, current.stock + ownChange);
+        this.variants.forEach(variant => {
+            const id = String(variant._id);
+            if (variantChanges.has(id) && current.variants.has(id)) {
+                variant.stock = Math.max(0, current.variants.get(id) + variantChanges.get(id));
+            }
+        });
+
+        this.$where = {
+            $expr: {
+                $and: [
+                    { $eq: [{ $ifNull: ['$stock', 0] }, current.stock] },
+                    {
+                        $eq: [
+                            { $map: { input: { $ifNull: ['$variants', []] }, in: { $ifNull: ['$$this.stock', 0] } } },
+                            (live.variants || []).map(variant => variant.stock || 0)
+                        ]
+                    }
+                ]
+            }
+        };
+
+        try {
+            await this.save();
+            break;
+        } catch (error) {
+            if (error.name !== 'DocumentNotFoundError' || attempt >= 3) throw error;
+        } finally {
+            this.$where = undefined;
+        }
+    }
+
+    this.$locals.loadedStock = stockLevels(this);
+    return this;
+};
+
+// Counters updated on every view or wishlist change, which no cached listing
+// of the catalog depends on
+const COUNTER_FIELDS = ['views', 'likes', 'updatedAt'];
+
+// Functions called after products are written, e.g. to drop cached feeds
+const changeListeners = new Set();
+
+const notifyChange = () => changeListeners.forEach(listener => listener());
+
+// Call `listener` whenever products are created, changed or deleted, other
+// than their view and like counters. Only writes made by this process are
+// seen.
+productSchema.statics.onCatalogChange = function(listener) {
+    changeListeners.add(listener);
+};
+
+productSchema.pre('save', function(next) {
+    this.$locals.catalogChanged = this.isNew
+        || this.modifiedPaths().some(path => !COUNTER_FIELDS.includes(path));
+    next();
+});
+
+productSchema.post('save', function() {
+    if (this.$locals.catalogChanged) notifyChange();
+});
+
+productSchema.post(['updateOne', 'updateMany', 'findOneAndUpdate'], function() {
+    const update = this.getUpdate();
+    // Update pipelines (stock changes) always count
+    const fields = Array.isArray(update) ? null : Object.entries(update)
+        .flatMap(([key, value]) => (key.startsWith('$') ? Object.keys(value) : [key]));
+
+    if (!fields || fields.some(field => !COUNTER_FIELDS.includes(field))) notifyChange();
+});
+
+productSchema.post(['deleteOne', 'deleteMany', 'findOneAndDelete'], function() {
+    notifyChange();
+});
+
 export default mongoose.model('Product', productSchema);
\ No newline at end of file
@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+// A product on a user's wishlist. Product.likes counts these.
+const productLikeSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// One like per user and product
+productLikeSchema.index({ userId: 1, productId: 1 }, { unique: true });
+productLikeSchema.index({ userId: 1, createdAt: -1 });
+productLikeSchema.index({ productId: 1 });
+
+export default mongoose.model('ProductLike', productLikeSchema);
@@ -0,0 +1,121 @@
+import mongoose from 'mongoose';
+import { PRODUCT_CATEGORIES } from './Product.js';
+import { roundMoney } from '../utils/pricing.js';
+
+export const DISCOUNT_TYPES = ['percentage', 'flat'];
+
+// Discount codes customers enter when booking. Not to be confused with the
+// booking's couponCode, which is the order reference shown at the counter.
+const promoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Promo code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,20}$/, 'Promo code must be 3-20 letters, digits, dashes or underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot be more than 200 characters']
+  },
+  discountType: {
+    type: String,
+    required: [true, 'Discount type is required'],
+    enum: DISCOUNT_TYPES
+  },
+  // Percent off for 'percentage', rupees off for 'flat'
+  discountValue: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0.01, 'Discount value must be positive']
+  },
+  // Upper limit of a percentage discount in rupees
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative']
+  },
+  minOrderValue: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum order value cannot be negative']
+  },
+  // Restrictions: when either list is set, only matching products are
+  // discounted. Empty lists apply the code to the whole order.
+  applicableCategories: [{
+    type: String,
+    enum: PRODUCT_CATEGORIES
+  }],
+  applicableProducts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  validFrom: Date,
+  validUntil: Date,
+  // Total number of bookings that may use the code; unlimited when empty
+  usageLimit: {
+    type: Number,
+    min: [1, 'Usage limit must be at least 1']
+  },
+  // Bookings per customer; unlimited when empty
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: [1, 'Per-user limit must be at least 1']
+  },
+  // Bookings currently using the code; cancelled bookings give their use back
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+promoCodeSchema.index({ isActive: 1, validUntil: 1 });
+
+promoCodeSchema.pre('validate', function(next) {
+  if (this.discountType === 'percentage' && this.discountValue > 100) {
+    this.invalidate('discountValue', 'Percentage discount cannot exceed 100%');
+  }
+  if (this.validFrom && this.validUntil && this.validUntil <= this.validFrom) {
+    this.invalidate('validUntil', 'Valid until must be after valid from');
+  }
+  next();
+});
+
+// Whether the code discounts a booking line item
+promoCodeSchema.methods.appliesTo = function(item) {
+  const hasCategories = this.applicableCategories.length > 0;
+  const hasProducts = this.applicableProducts.length > 0;
+
+  if (!hasCategories && !hasProducts) return true;
+
+  return (hasCategories && this.applicableCategories.includes(item.productCategory))
+    || (hasProducts && this.applicableProducts.some((id) => id.toString() === item.productId.toString()));
+};
+
+// Discount in rupees on `amount` (the value of the eligible items)
+promoCodeSchema.methods.computeDiscount = function(amount) {
+  let discount = this.discountType === 'percentage'
+    ? amount * (this.discountValue / 100)
+    : this.discountValue;
+
+  if (this.discountType === 'percentage' && this.maxDiscount != null) {
+    discount = Math.min(discount, this.maxDiscount);
+  }
+
+  return roundMoney(Math.min(discount, amount));
+};
+
+export default mongoose.model('PromoCode', promoCodeSchema);
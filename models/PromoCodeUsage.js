@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+// How many live bookings of a user use a promo code. Claimed and given back
+// inside the booking transactions, so PromoCode.perUserLimit holds under
+// concurrent checkouts.
+const promoCodeUsageSchema = new mongoose.Schema({
+  promoCodeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+// One counter per promo code and user
+promoCodeUsageSchema.index({ promoCodeId: 1, userId: 1 }, { unique: true });
+
+export default mongoose.model('PromoCodeUsage', promoCodeUsageSchema);
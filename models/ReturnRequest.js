@@ -0,0 +1,148 @@
+import mongoose from 'mongoose';
+
+export const RETURN_REASONS = ['defective', 'not_as_described', 'wrong_item', 'damaged', 'changed_mind', 'other'];
+
+export const RETURN_STATUSES = ['requested', 'approved', 'rejected', 'inspected', 'refunded'];
+
+// Requests that are still being handled; a booking has at most one
+export const OPEN_RETURN_STATUSES = ['requested', 'approved', 'inspected'];
+
+// requested -> approved -> inspected (item received, restocked) -> refunded
+export const RETURN_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['inspected', 'rejected'],
+  rejected: [],
+  inspected: ['refunded'],
+  refunded: []
+};
+
+const returnItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: String,
+  variantId: mongoose.Schema.Types.ObjectId,
+  variantName: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  // Value of the returned units at the price paid
+  amount: {
+    type: Number,
+    min: 0
+  }
+}, { _id: false });
+
+const returnHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: RETURN_STATUSES,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  note: String
+}, { _id: false });
+
+// Return / refund request (RMA) raised against a completed booking
+const returnRequestSchema = new mongoose.Schema({
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  items: {
+    type: [returnItemSchema],
+    validate: [(items) => items.length > 0, 'At least one item must be returned']
+  },
+  reason: {
+    type: String,
+    enum: RETURN_REASONS,
+    required: [true, 'Return reason is required']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot be more than 1000 characters']
+  },
+  photos: [String],
+  photoPublicIds: [String],
+
+  status: {
+    type: String,
+    enum: RETURN_STATUSES,
+    default: 'requested'
+  },
+  history: [returnHistorySchema],
+
+  // Inspection
+  inspectionNotes: {
+    type: String,
+    trim: true
+  },
+  restocked: {
+    type: Boolean,
+    default: false
+  },
+
+  // Refund
+  refundAmount: {
+    type: Number,
+    min: [0, 'Refund amount cannot be negative']
+  },
+  refundReference: {
+    type: String,
+    trim: true
+  },
+  rejectionReason: String
+}, {
+  timestamps: true
+});
+
+// One open request per booking, even when two are requested at once
+returnRequestSchema.index(
+  { bookingId: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: OPEN_RETURN_STATUSES } } }
+);
+returnRequestSchema.index({ userId: 1, createdAt: -1 });
+returnRequestSchema.index({ status: 1 });
+
+// Record the initial status of a new request
+returnRequestSchema.pre('save', function(next) {
+  if (this.isNew && this.history.length === 0) {
+    this.history.push({ status: this.status, changedBy: this.userId });
+  }
+  next();
+});
+
+// Value of the returned units
+returnRequestSchema.virtual('itemsAmount').get(function() {
+  return this.items.reduce((sum, item) => sum + (item.amount || 0), 0);
+});
+
+returnRequestSchema.methods.canTransitionTo = function(newStatus) {
+  return (RETURN_TRANSITIONS[this.status] || []).includes(newStatus);
+};
+
+// Move to a new status and record it in the history (does not save)
+returnRequestSchema.methods.setStatus = function(newStatus, { changedBy, note } = {}) {
+  this.history.push({ status: newStatus, changedBy, note });
+  this.status = newStatus;
+};
+
+export default mongoose.model('ReturnRequest', returnRequestSchema);
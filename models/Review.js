@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+
+export const REVIEW_STATUSES = ['pending', 'approved', 'hidden'];
+
+// Moderation: new reviews wait for approval; admins may hide an approved
+// review or approve a hidden one again
+export const REVIEW_TRANSITIONS = {
+  pending: ['approved', 'hidden'],
+  approved: ['hidden'],
+  hidden: ['approved']
+};
+
+// A customer's review of a product they bought (a completed booking)
+const reviewSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Completed booking the product was bought with
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5'],
+    validate: [Number.isInteger, 'Rating must be a whole number']
+  },
+  title: {
+    type: String,
+    required: [true, 'Review title is required'],
+    trim: true,
+    maxlength: [100, 'Title cannot be more than 100 characters']
+  },
+  text: {
+    type: String,
+    required: [true, 'Review text is required'],
+    trim: true,
+    maxlength: [2000, 'Review cannot be more than 2000 characters']
+  },
+  photos: [String],
+  photoPublicIds: [String],
+  status: {
+    type: String,
+    enum: REVIEW_STATUSES,
+    default: 'pending'
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: Date,
+  moderationNote: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// One review per user and product
+reviewSchema.index({ productId: 1, userId: 1 }, { unique: true });
+reviewSchema.index({ productId: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, createdAt: -1 });
+
+reviewSchema.methods.canTransitionTo = function(newStatus) {
+  return (REVIEW_TRANSITIONS[this.status] || []).includes(newStatus);
+};
+
+export default mongoose.model('Review', reviewSchema);
@@ -0,0 +1,153 @@
+import mongoose from 'mongoose';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const openingHoursSchema = new mongoose.Schema({
+  // 0 = Sunday ... 6 = Saturday
+  day: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 6
+  },
+  open: {
+    type: String,
+    match: [TIME_PATTERN, 'Opening time must be HH:MM'],
+    default: '10:00'
+  },
+  close: {
+    type: String,
+    match: [TIME_PATTERN, 'Closing time must be HH:MM'],
+    default: '20:00'
+  },
+  closed: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+const holidaySchema = new mongoose.Schema({
+  date: {
+    type: String,
+    required: true,
+    match: [DATE_PATTERN, 'Holiday date must be YYYY-MM-DD']
+  },
+  reason: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+// Monday to Saturday 10:00-20:00, closed on Sunday
+const defaultOpeningHours = () => [0, 1, 2, 3, 4, 5, 6].map((day) => ({
+  day,
+  open: '10:00',
+  close: '20:00',
+  closed: day === 0
+}));
+
+const scheduleSchema = new mongoose.Schema({
+  slotMinutes: {
+    type: Number,
+    default: 60,
+    min: [15, 'Slots must be at least 15 minutes'],
+    max: [240, 'Slots cannot be longer than 4 hours']
+  },
+  slotCapacity: {
+    type: Number,
+    default: 3,
+    min: [1, 'Slot capacity must be at least 1']
+  },
+  maxAdvanceDays: {
+    type: Number,
+    default: 30,
+    min: [1, 'Bookings must be allowed at least 1 day ahead']
+  },
+  // Customers cannot edit a booking later than this before its booking date
+  editCutoffHours: {
+    type: Number,
+    default: 24,
+    min: [0, 'Edit cutoff cannot be negative']
+  },
+  openingHours: {
+    type: [openingHoursSchema],
+    default: defaultOpeningHours
+  },
+  holidays: [holidaySchema]
+}, { _id: false });
+
+const returnPolicySchema = new mongoose.Schema({
+  // Days after completion during which a return can be requested
+  windowDays: {
+    type: Number,
+    default: 7,
+    min: [0, 'Return window cannot be negative']
+  }
+}, { _id: false });
+
+const cancellationPolicySchema = new mongoose.Schema({
+  // Customers cancel for free until this many hours before the booking date
+  freeCancellationHours: {
+    type: Number,
+    default: 24,
+    min: [0, 'Free cancellation period cannot be negative']
+  },
+  // Fee for later cancellations: percent of the booking total or rupees
+  feeType: {
+    type: String,
+    enum: ['percentage', 'flat'],
+    default: 'percentage'
+  },
+  feeValue: {
+    type: Number,
+    default: 0,
+    min: [0, 'Cancellation fee cannot be negative']
+  },
+  // Customers cannot cancel later than this many hours before the booking
+  // date; no cutoff when empty
+  cutoffHours: {
+    type: Number,
+    min: [0, 'Cancellation cutoff cannot be negative']
+  }
+}, { _id: false });
+
+cancellationPolicySchema.pre('validate', function(next) {
+  if (this.feeType === 'percentage' && this.feeValue > 100) {
+    this.invalidate('feeValue', 'Percentage fee cannot exceed 100%');
+  }
+  next();
+});
+
+// Admin-configurable store settings, kept in a single document
+const storeSettingsSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: 'store'
+  },
+  schedule: {
+    type: scheduleSchema,
+    default: () => ({})
+  },
+  returnPolicy: {
+    type: returnPolicySchema,
+    default: () => ({})
+  },
+  cancellationPolicy: {
+    type: cancellationPolicySchema,
+    default: () => ({})
+  }
+}, {
+  timestamps: true
+});
+
+// Get the settings document, creating it with defaults on first use
+storeSettingsSchema.statics.get = function() {
+  return this.findOneAndUpdate(
+    { _id: 'store' },
+    { $setOnInsert: { _id: 'store' } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+export default mongoose.model('StoreSettings', storeSettingsSchema);
@@ -1,6 +1,72 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 
+// Saved delivery / contact address
+const addressSchema = new mongoose.Schema(
+  {
+    label: {
+      type: String,
+      trim: true,
+      maxlength: [30, 'Label cannot be more than 30 characters'],
+      default: 'Home',
+    },
+    line1: {
+      type: String,
+      required: [true, 'Address line 1 is required'],
+      trim: true,
+      maxlength: [200, 'Address line cannot be more than 200 characters'],
+    },
+    line2: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Address line cannot be more than 200 characters'],
+    },
+    landmark: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Landmark cannot be more than 100 characters'],
+    },
+    city: {
+      type: String,
+      required: [true, 'City is required'],
+      trim: true,
+    },
+    state: {
+      type: String,
+      required: [true, 'State is required'],
+      trim: true,
+    },
+    pinCode: {
+      type: String,
+      required: [true, 'PIN code is required'],
+      trim: true,
+      match: [/^\d{6}$/, 'PIN code must be 6 digits'],
+    },
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Address as a single line of text
+addressSchema.methods.format = function () {
+  return [
+    this.line1,
+    this.line2,
+    this.landmark && `Near ${this.landmark}`,
+    this.city,
+    `${this.state} - ${this.pinCode}`,
+  ]
+    .filter(Boolean)
+    .join(', ');
+};
+
+export const MAX_ADDRESSES = 10;
+
 const userSchema = new mongoose.Schema(
   {
     name: {
@@ -47,6 +113,7 @@ const userSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    addresses: [addressSchema],
   },
   {
     timestamps: true,
@@ -71,6 +138,13 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Make one address the default and clear the flag on the others
+userSchema.methods.setDefaultAddress = function (addressId) {
+  this.addresses.forEach((address) => {
+    address.isDefault = address._id.toString() === addressId.toString();
+  });
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function () {
   const userObject = this.toObject();
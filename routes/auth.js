@@ -1,8 +1,11 @@
 import express from 'express';
 import jwt from 'jsonwebtoken';
-import { body, validationResult } from 'express-validator';
-import User from '../models/User.js';
+import { body, query, validationResult } from 'express-validator';
+import User, { MAX_ADDRESSES } from '../models/User.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { notifyUserEvent } from '../services/notifications/index.js';
+import { getWishlist } from '../services/wishlistService.js';
+import { resolveStateCode } from '../utils/gstStates.js';
 
 const router = express.Router();
 
@@ -296,6 +299,8 @@ router.post('/change-password', [
     user.password = newPassword;
     await user.save();
 
+    notifyUserEvent('password_changed', user);
+
     res.json({ message: 'Password changed successfully' });
   } catch (error) {
     console.error('Password change error:', error);
@@ -303,6 +308,205 @@ router.post('/change-password', [
   }
 });
 
+const addressValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    body('label').optional().trim().isLength({ min: 1, max: 30 }).withMessage('Label must be between 1 and 30 characters'),
+    field('line1').trim().isLength({ min: 3, max: 200 }).withMessage('Address line 1 must be between 3 and 200 characters'),
+    body('line2').optional().trim().isLength({ max: 200 }).withMessage('Address line 2 cannot be more than 200 characters'),
+    body('landmark').optional().trim().isLength({ max: 100 }).withMessage('Landmark cannot be more than 100 characters'),
+    field('city').trim().isLength({ min: 2, max: 50 }).withMessage('City must be between 2 and 50 characters'),
+    field('state').trim().isLength({ min: 2, max: 50 }).withMessage('State must be between 2 and 50 characters')
+      .bail().custom((value) => resolveStateCode(value) !== null).withMessage('Unknown state'),
+    field('pinCode').trim().matches(/^\d{6}$/).withMessage('PIN code must be 6 digits'),
+    body('isDefault').optional().isBoolean().withMessage('isDefault must be a boolean')
+  ];
+};
+
+const ADDRESS_FIELDS = ['label', 'line1', 'line2', 'landmark', 'city', 'state', 'pinCode'];
+
+// @route   GET /api/auth/addresses
+// @desc    Get saved addresses
+// @access  Private
+router.get('/addresses', authenticateToken, (req, res) => {
+  res.json({
+    message: 'Addresses retrieved successfully',
+    addresses: req.user.addresses
+  });
+});
+
+// @route   POST /api/auth/addresses
+// @desc    Save a new address
+// @access  Private
+router.post('/addresses', [
+  authenticateToken,
+  ...addressValidators(false)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const user = req.user;
+
+    if (user.addresses.length >= MAX_ADDRESSES) {
+      return res.status(400).json({ message: `You can save at most ${MAX_ADDRESSES} addresses` });
+    }
+
+    const data = {};
+    ADDRESS_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    user.addresses.push(data);
+    const address = user.addresses[user.addresses.length - 1];
+
+    // The first address, or one explicitly marked, becomes the default
+    if (user.addresses.length === 1 || req.body.isDefault === true || req.body.isDefault === 'true') {
+      user.setDefaultAddress(address._id);
+    }
+
+    await user.save();
+
+    res.status(201).json({
+      message: 'Address saved successfully',
+      address,
+      addresses: user.addresses
+    });
+  } catch (error) {
+    console.error('Add address error:', error);
+    res.status(500).json({ message: 'Server error while saving address' });
+  }
+});
+
+// @route   PUT /api/auth/addresses/:addressId
+// @desc    Update a saved address
+// @access  Private
+router.put('/addresses/:addressId', [
+  authenticateToken,
+  ...addressValidators(true)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const user = req.user;
+    const address = user.addresses.id(req.params.addressId);
+
+    if (!address) {
+      return res.status(404).json({ message: 'Address not found' });
+    }
+
+    ADDRESS_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) address[field] = req.body[field];
+    });
+
+    if (req.body.isDefault === true || req.body.isDefault === 'true') {
+      user.setDefaultAddress(address._id);
+    }
+
+    await user.save();
+
+    res.json({
+      message: 'Address updated successfully',
+      address,
+      addresses: user.addresses
+    });
+  } catch (error) {
+    console.error('Update address error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid address ID' });
+    }
+    res.status(500).json({ message: 'Server error while updating address' });
+  }
+});
+
+// @route   DELETE /api/auth/addresses/:addressId
+// @desc    Delete a saved address
+// @access  Private
+router.delete('/addresses/:addressId', authenticateToken, async (req, res) => {
+  try {
+    const user = req.user;
+    const address = user.addresses.id(req.params.addressId);
+
+    if (!address) {
+      return res.status(404).json({ message: 'Address not found' });
+    }
+
+    const wasDefault = address.isDefault;
+    user.addresses.pull(address._id);
+
+    // Keep a default address while any remain
+    if (wasDefault && user.addresses.length > 0) {
+      user.setDefaultAddress(user.addresses[0]._id);
+    }
+
+    await user.save();
+
+    res.json({
+      message: 'Address deleted successfully',
+      addresses: user.addresses
+    });
+  } catch (error) {
+    console.error('Delete address error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid address ID' });
+    }
+    res.status(500).json({ message: 'Server error while deleting address' });
+  }
+});
+
+// @route   GET /api/auth/wishlist
+// @desc    Get the products on the user's wishlist with their current price
+//          and availability, most recently saved first
+// @access  Private
+router.get('/wishlist', [
+  authenticateToken,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page || 1);
+    const limit = parseInt(req.query.limit || 20);
+    const { items, total } = await getWishlist(req.user._id, { page, limit });
+
+    res.json({
+      message: 'Wishlist retrieved successfully',
+      wishlist: items,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        hasNextPage: page * limit < total,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get wishlist error:', error);
+    res.status(500).json({ message: 'Server error while fetching wishlist' });
+  }
+});
+
 // @route   POST /api/auth/logout
 // @desc    Logout user (client-side token removal)
 // @access  Private
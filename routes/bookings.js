@@ -1,10 +1,105 @@
 import express from "express";
-import Booking from "../models/Booking.js";
-import Product from "../models/Product.js";
-import { authenticateToken } from "../middleware/auth.js";
+import { body, query, validationResult } from "express-validator";
+import Booking, {
+  BOOKING_STATUSES,
+  LINE_ITEMS_EXPRESSION,
+  PAYMENT_METHODS,
+  PAYMENT_STATUSES,
+} from "../models/Booking.js";
+import ReturnRequest from "../models/ReturnRequest.js";
+import { authenticateToken, requireAdmin } from "../middleware/auth.js";
+import {
+  EDITABLE_FIELDS,
+  buildLineItem,
+  changeBookingStatus,
+  createBooking,
+  prepareBookingPricing,
+  quoteOrder,
+  resolveCustomerDetails,
+  updateBooking,
+} from "../services/bookingService.js";
+import {
+  INVOICEABLE_STATUSES,
+  ensureInvoiceNumber,
+  getFinancialYear,
+  renderInvoicePdf,
+} from "../services/invoiceService.js";
+import {
+  getAvailableSlots,
+  resolvePickupSlot,
+} from "../services/scheduleService.js";
+import {
+  REDEEMABLE_STATUSES,
+  createRedemptionToken,
+  redeemBooking,
+  renderQrCode,
+} from "../services/redemptionService.js";
+import { cancelBooking, previewCancellation } from "../services/cancellationService.js";
+import { startBookingPayment } from "../services/payments/index.js";
+import { findPriceMismatches, roundMoney } from "../utils/pricing.js";
+import { resolveStateCode } from "../utils/gstStates.js";
+import { parseDateBound, zonedTimeToUtc } from "../utils/time.js";
+import store from "../config/store.js";
+import taxConfig from "../config/tax.js";
+import HttpError from "../utils/httpError.js";
+import escapeRegex from "../utils/escapeRegex.js";
 
 const router = express.Router();
 
+// @route   POST /api/bookings/quote
+// @desc    Get the server-computed price breakdown for a booking
+// @access  Private
+router.post("/quote", authenticateToken, async (req, res) => {
+  try {
+    const { productId, variantId, quantity = 1, promoCode, customerState } = req.body;
+
+    if (!productId) {
+      return res.status(400).json({
+        message: "Product ID is required",
+      });
+    }
+
+    const result = await prepareBookingPricing(productId, quantity, variantId);
+    if (result.status) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    const { product, variant } = result;
+    const lineItem = buildLineItem(product, result.pricing, variant);
+    const pricing = {
+      ...result.pricing,
+      ...(await quoteOrder([lineItem], {
+        user: req.user,
+        promoCode,
+        customerState,
+      })),
+    };
+
+    res.json({
+      success: true,
+      quote: {
+        productId: lineItem.productId,
+        productName: lineItem.productName,
+        productImage: lineItem.productImage,
+        productCategory: lineItem.productCategory,
+        variantId: lineItem.variantId,
+        variantSku: lineItem.variantSku,
+        variantName: lineItem.variantName,
+        ...pricing,
+      },
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error("Error creating booking quote:", error);
+    res.status(500).json({
+      message: "Failed to calculate booking price",
+      error: error.message,
+    });
+  }
+});
+
 // @route   POST /api/bookings
 // @desc    Create a new booking
 // @access  Private
@@ -12,76 +107,102 @@ router.post("/", authenticateToken, async (req, res) => {
   try {
     const {
       productId,
-      productName,
-      productImage,
-      productCategory,
-      customerName,
-      customerPhone,
-      customerAddress,
+      variantId,
       quantity,
       bookingDate,
-      actualPrice,
-      strikePrice,
-      sellingPrice,
-      totalAmount,
-      discountPercentage,
+      notes,
+      paymentMethod = "pay_at_store",
+      promoCode,
     } = req.body;
 
     // Validate required fields
-    if (
-      !productId ||
-      !customerName ||
-      !customerPhone ||
-      !customerAddress ||
-      !quantity ||
-      !bookingDate
-    ) {
+    if (!productId || !quantity || !bookingDate) {
       return res.status(400).json({
         message: "Please provide all required fields",
       });
     }
 
-    // Verify product exists
-    const product = await Product.findById(productId);
-    if (!product) {
-      return res.status(404).json({
-        message: "Product not found",
-      });
+    if (req.body.customerState && !resolveStateCode(req.body.customerState)) {
+      return res.status(400).json({ message: "Unknown customer state" });
     }
 
-    // Check if product is available
-    if (product.availability !== "Available") {
+    if (!PAYMENT_METHODS.includes(paymentMethod)) {
       return res.status(400).json({
-        message: "Product is not available for booking",
+        message: `Payment method must be one of: ${PAYMENT_METHODS.join(", ")}`,
       });
     }
 
-    // Create booking with default 'confirmed' status
-    const booking = await Booking.create({
-      productId,
-      productName,
-      productImage,
-      productCategory,
-      userId: req.user._id,
-      customerName,
-      customerPhone,
-      customerAddress,
-      quantity,
-      bookingDate,
-      actualPrice: actualPrice || 0,
-      strikePrice: strikePrice || 0,
-      sellingPrice: sellingPrice || 0,
-      totalAmount: totalAmount || 0,
-      discountPercentage: discountPercentage || 0,
-      status: "confirmed",
+    // Customer details, typed in or from a saved address
+    const customer = resolveCustomerDetails(req.user, req.body);
+    if (customer.status) {
+      return res.status(customer.status).json({ message: customer.message });
+    }
+
+    // Check the pickup time against opening hours and holidays
+    const pickup = await resolvePickupSlot(bookingDate);
+    if (pickup.status) {
+      return res.status(pickup.status).json({ message: pickup.message });
+    }
+
+    // Verify product and compute pricing from it
+    const result = await prepareBookingPricing(productId, quantity, variantId);
+    if (result.status) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    const { product } = result;
+    const lineItem = buildLineItem(product, result.pricing, result.variant);
+
+    // Apply the promo code and GST; the client's totals must include them
+    const pricing = {
+      ...result.pricing,
+      ...(await quoteOrder([lineItem], {
+        user: req.user,
+        promoCode,
+        customerState: customer.details.customerState,
+      })),
+    };
+
+    // Reject stale or tampered totals sent by the client
+    const mismatches = findPriceMismatches(req.body, pricing);
+    if (mismatches.length > 0) {
+      return res.status(409).json({
+        message:
+          "Price has changed or does not match. Please review the updated price and try again.",
+        mismatches,
+        pricing,
+      });
+    }
+
+    // Reserve stock and create the booking in one transaction
+    let booking = await createBooking({
+      user: req.user,
+      items: [lineItem],
+      details: {
+        ...customer.details,
+        notes,
+        paymentMethod,
+      },
+      pickup,
+      promoCode,
     });
 
+    // Online bookings get a gateway order to pay against
+    let payment;
+    if (paymentMethod === "online") {
+      ({ booking, order: payment } = await startBookingPayment(booking));
+    }
+
     res.status(201).json({
       success: true,
       message: "Booking created successfully",
       booking,
+      payment,
     });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error("Error creating booking:", error);
     res.status(500).json({
       message: "Failed to create booking",
@@ -91,39 +212,176 @@ router.post("/", authenticateToken, async (req, res) => {
 });
 
 // @route   GET /api/bookings
-// @desc    Get bookings (all for admin, user-specific otherwise)
+// @desc    Get bookings with filtering and pagination
+//          (all for admin, user-specific otherwise)
 // @access  Private
-router.get("/", authenticateToken, async (req, res) => {
-  try {
-    let bookings;
+router.get(
+  "/",
+  [
+    authenticateToken,
+    query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer"),
+    query("limit").optional().isInt({ min: 1, max: 50 }).withMessage("Limit must be between 1 and 50"),
+    query("status").optional().isIn(BOOKING_STATUSES).withMessage("Invalid booking status"),
+    query("paymentStatus").optional().isIn(PAYMENT_STATUSES).withMessage("Invalid payment status"),
+    query("dateField").optional().isIn(["orderDate", "bookingDate"]).withMessage("Date field must be orderDate or bookingDate"),
+    query("startDate").optional().isISO8601().withMessage("Start date must be a valid date"),
+    query("endDate").optional().isISO8601().withMessage("End date must be a valid date"),
+    query("productId").optional().isMongoId().withMessage("Invalid product ID"),
+    query("userId").optional().isMongoId().withMessage("Invalid user ID"),
+    query("search").optional().isLength({ min: 1, max: 100 }).withMessage("Search term must be between 1 and 100 characters"),
+    query("sort").optional().isIn(["newest", "oldest", "booking-date", "booking-date-desc", "amount-high", "amount-low"]).withMessage("Invalid sort option"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
 
-    // Check if the user is an admin
-    if (req.user.role === "admin") {
-      // Admin gets ALL bookings, sorted by orderDate descending
-      bookings = await Booking.find()
-        .populate("productId", "name category")
-        .populate("userId", "name email phone")
-        .sort({ orderDate: -1 });
-    } else {
-      // Regular user gets only their own bookings
-      bookings = await Booking.find({ userId: req.user._id })
+      const {
+        page = 1,
+        limit = 10,
+        status,
+        paymentStatus,
+        dateField = "orderDate",
+        startDate,
+        endDate,
+        productId,
+        userId,
+        search,
+        sort = "newest",
+      } = req.query;
+
+      const isAdmin = req.user.role === "admin";
+
+      // Regular users only ever see their own bookings
+      const filter = isAdmin ? {} : { userId: req.user._id };
+
+      if (isAdmin && userId) filter.userId = userId;
+      if (status) filter.status = status;
+      if (paymentStatus) filter.paymentStatus = paymentStatus;
+      if (productId) {
+        filter.$and = [
+          { $or: [{ productId }, { "items.productId": productId }] },
+        ];
+      }
+      if (startDate || endDate) {
+        filter[dateField] = {};
+        // A bare date (YYYY-MM-DD) is a whole day in the store's time zone
+        if (startDate) filter[dateField].$gte = parseDateBound(startDate, store.timezone);
+        if (endDate) {
+          filter[dateField].$lte = parseDateBound(endDate, store.timezone, { endOfDay: true });
+        }
+      }
+      if (search) {
+        const pattern = escapeRegex(search);
+        filter.$or = [
+          { customerName: { $regex: pattern, $options: "i" } },
+          { customerPhone: { $regex: pattern, $options: "i" } },
+          { couponCode: { $regex: pattern, $options: "i" } },
+        ];
+      }
+
+      let sortObj = {};
+      switch (sort) {
+        case "oldest":
+          sortObj = { orderDate: 1 };
+          break;
+        case "booking-date":
+          sortObj = { bookingDate: 1 };
+          break;
+        case "booking-date-desc":
+          sortObj = { bookingDate: -1 };
+          break;
+        case "amount-high":
+          sortObj = { totalAmount: -1 };
+          break;
+        case "amount-low":
+          sortObj = { totalAmount: 1 };
+          break;
+        case "newest":
+        default:
+          sortObj = { orderDate: -1 };
+      }
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      let bookingsQuery = Booking.find(filter)
         .populate("productId", "name category")
-        .sort({ orderDate: -1 });
+        .sort(sortObj)
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      if (isAdmin) {
+        bookingsQuery = bookingsQuery.populate("userId", "name email phone");
+      }
+
+      const [bookings, total] = await Promise.all([
+        bookingsQuery,
+        Booking.countDocuments(filter),
+      ]);
+      const totalPages = Math.ceil(total / parseInt(limit));
+
+      res.json({
+        success: true,
+        count: bookings.length,
+        bookings,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalBookings: total,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching bookings:", error);
+      res.status(500).json({
+        message: "Failed to fetch bookings",
+        error: error.message,
+      });
     }
+  }
+);
 
-    res.json({
-      success: true,
-      count: bookings.length,
-      bookings,
-    });
-  } catch (error) {
-    console.error("Error fetching bookings:", error);
-    res.status(500).json({
-      message: "Failed to fetch bookings",
-      error: error.message,
-    });
+// @route   GET /api/bookings/slots
+// @desc    Get pickup slots of a date with their remaining capacity
+// @access  Public
+router.get(
+  "/slots",
+  [
+    query("date")
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage("Date must be in YYYY-MM-DD format"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const day = await getAvailableSlots(req.query.date);
+
+      res.json({
+        success: true,
+        ...day,
+      });
+    } catch (error) {
+      console.error("Error fetching pickup slots:", error);
+      res.status(500).json({
+        message: "Failed to fetch pickup slots",
+        error: error.message,
+      });
+    }
   }
-});
+);
 
 // @route   GET /api/bookings/:id
 // @desc    Get single booking by ID
@@ -163,12 +421,93 @@ router.get("/:id", authenticateToken, async (req, res) => {
   }
 });
 
-// @route   PATCH /api/bookings/:id/cancel
-// @desc    Cancel a booking
+// @route   PATCH /api/bookings/:id
+// @desc    Reschedule or edit a booking that has not been fulfilled yet
+// @access  Private (owner, or admin for any booking)
+router.patch(
+  "/:id",
+  [
+    authenticateToken,
+    body("bookingDate").optional().isISO8601().withMessage("Booking date must be a valid date"),
+    body("customerAddress").optional().trim().notEmpty().withMessage("Address cannot be empty"),
+    body("customerPhone").optional().trim().notEmpty().withMessage("Phone number cannot be empty"),
+    body("customerState").optional().custom((value) => resolveStateCode(value) !== null).withMessage("Unknown customer state"),
+    body("notes").optional().trim().isLength({ max: 500 }).withMessage("Notes cannot be more than 500 characters"),
+    body("quantity").optional().isInt({ min: 1 }).withMessage("Quantity must be a positive integer"),
+    body("addressId").optional().isMongoId().withMessage("Invalid address ID"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const changes = {};
+      EDITABLE_FIELDS.forEach((field) => {
+        if (req.body[field] !== undefined) changes[field] = req.body[field];
+      });
+      if (changes.quantity !== undefined) {
+        changes.quantity = parseInt(changes.quantity);
+      }
+
+      // Switch to a saved address
+      if (req.body.addressId) {
+        const customer = resolveCustomerDetails(req.user, {
+          addressId: req.body.addressId,
+        });
+        if (customer.status) {
+          return res.status(customer.status).json({ message: customer.message });
+        }
+        changes.customerAddress = customer.details.customerAddress;
+        changes.customerState = customer.details.customerState;
+        changes.deliveryAddress = customer.details.deliveryAddress;
+      }
+
+      if (Object.keys(changes).length === 0) {
+        return res.status(400).json({
+          message: `Nothing to update. Editable fields: ${EDITABLE_FIELDS.join(", ")}`,
+        });
+      }
+
+      const booking = await updateBooking(req.params.id, changes, {
+        user: req.user,
+        expected: {
+          totalAmount: req.body.totalAmount,
+          sellingPrice: req.body.sellingPrice,
+        },
+      });
+
+      res.json({
+        success: true,
+        message: "Booking updated successfully",
+        booking,
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).json({
+          message: error.message,
+          ...error.details,
+        });
+      }
+      console.error("Error updating booking:", error);
+      res.status(500).json({
+        message: "Failed to update booking",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// @route   GET /api/bookings/:id/invoice
+// @desc    Download the GST invoice of a completed booking as PDF
 // @access  Private
-router.patch("/:id/cancel", authenticateToken, async (req, res) => {
+router.get("/:id/invoice", authenticateToken, async (req, res) => {
   try {
-    const booking = await Booking.findById(req.params.id);
+    let booking = await Booking.findById(req.params.id);
 
     if (!booking) {
       return res.status(404).json({
@@ -182,37 +521,298 @@ router.patch("/:id/cancel", authenticateToken, async (req, res) => {
 
     if (!isAdmin && !isOwner) {
       return res.status(403).json({
-        message: "Not authorized to cancel this booking",
+        message: "Not authorized to view this booking",
       });
     }
 
-    // Check if booking is already cancelled
-    if (booking.status === "cancelled") {
+    if (!INVOICEABLE_STATUSES.includes(booking.status)) {
       return res.status(400).json({
-        message: "Booking is already cancelled",
+        message: "Invoice is available only for completed bookings",
+      });
+    }
+
+    // Bookings completed before invoicing existed get a number now
+    if (!booking.invoiceNumber) {
+      booking = await ensureInvoiceNumber(booking._id);
+    }
+
+    const filename = `invoice-${booking.invoiceNumber.replace(/\//g, "-")}.pdf`;
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+    renderInvoicePdf(booking, res);
+  } catch (error) {
+    console.error("Error generating invoice:", error);
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: "Invalid booking ID" });
+    }
+    res.status(500).json({
+      message: "Failed to generate invoice",
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/bookings/:id/qr
+// @desc    Get a QR code (PNG or SVG) for redeeming the booking in store
+// @access  Private
+router.get(
+  "/:id/qr",
+  [
+    authenticateToken,
+    query("format").optional().isIn(["png", "svg"]).withMessage("Format must be png or svg"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const booking = await Booking.findById(req.params.id);
+
+      if (!booking) {
+        return res.status(404).json({
+          message: "Booking not found",
+        });
+      }
+
+      // Check if user is admin or booking owner
+      const isAdmin = req.user.role === "admin";
+      const isOwner = booking.userId.toString() === req.user._id.toString();
+
+      if (!isAdmin && !isOwner) {
+        return res.status(403).json({
+          message: "Not authorized to view this booking",
+        });
+      }
+
+      if (!REDEEMABLE_STATUSES.includes(booking.status)) {
+        return res.status(400).json({
+          message: "QR code is only available for bookings that can still be collected",
+        });
+      }
+
+      const format = req.query.format || "png";
+      const qr = await renderQrCode(createRedemptionToken(booking), format);
+
+      res.setHeader("Cache-Control", "private, no-store");
+      res.type(format === "svg" ? "image/svg+xml" : "image/png").send(qr);
+    } catch (error) {
+      console.error("Error generating booking QR code:", error);
+      if (error.name === "CastError") {
+        return res.status(400).json({ message: "Invalid booking ID" });
+      }
+      res.status(500).json({
+        message: "Failed to generate QR code",
+        error: error.message,
       });
     }
+  }
+);
 
-    // Check if booking is completed
-    if (booking.status === "completed") {
+// @route   POST /api/bookings/redeem
+// @desc    Redeem a booking in store from a scanned QR token or coupon code
+//          and mark it completed
+// @access  Private (Admin)
+router.post(
+  "/redeem",
+  [
+    authenticateToken,
+    requireAdmin,
+    body("token").optional().isString().notEmpty().withMessage("Token must be a string"),
+    body("couponCode").optional().trim().notEmpty().withMessage("Coupon code cannot be empty"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { token, couponCode } = req.body;
+
+      if (!token && !couponCode) {
+        return res.status(400).json({
+          success: false,
+          message: "Please provide the scanned token or the coupon code",
+        });
+      }
+
+      const booking = await redeemBooking({
+        token,
+        couponCode,
+        user: req.user,
+      });
+
+      res.json({
+        success: true,
+        message: "Booking redeemed successfully",
+        booking,
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+          ...error.details,
+        });
+      }
+      console.error("Error redeeming booking:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to redeem booking",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// @route   PATCH /api/bookings/:id/status
+// @desc    Move a booking to any status allowed by the transition rules.
+//          Cancelling goes through the cancellation policy like
+//          /:id/cancel (fee recorded on the booking, waiveFee to waive it).
+//          Returns and refunds are only recorded through /api/returns.
+// @access  Private (Admin)
+router.patch(
+  "/:id/status",
+  [
+    authenticateToken,
+    requireAdmin,
+    body("status").isIn(BOOKING_STATUSES).withMessage("Invalid booking status"),
+    body("status")
+      .not()
+      .isIn(["returned", "refunded"])
+      .withMessage("Returns and refunds are recorded through return requests"),
+    body("reason")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Reason cannot be more than 500 characters"),
+    body("waiveFee").optional().isBoolean().withMessage("waiveFee must be true or false"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { status, reason } = req.body;
+
+      const booking = status === "cancelled"
+        ? await cancelBooking(req.params.id, {
+          user: req.user,
+          reason: reason || "Cancelled by Admin",
+          waiveFee: req.body.waiveFee === true || req.body.waiveFee === "true",
+        })
+        : await changeBookingStatus(req.params.id, status, {
+          user: req.user,
+          reason,
+        });
+
+      res.json({
+        success: true,
+        message: "Booking status updated successfully",
+        booking,
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+          ...error.details,
+        });
+      }
+      console.error("Error updating booking status:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update booking status",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// @route   GET /api/bookings/:id/cancellation
+// @desc    Preview what cancelling a booking now would cost: the fee under
+//          the cancellation policy and the refundable amount
+// @access  Private (owner or admin)
+router.get("/:id/cancellation", authenticateToken, async (req, res) => {
+  try {
+    const { booking, policy, ...charge } = await previewCancellation(req.params.id, {
+      user: req.user,
+    });
+
+    res.json({
+      success: true,
+      bookingId: booking._id,
+      bookingDate: booking.bookingDate,
+      totalAmount: booking.totalAmount,
+      paymentStatus: booking.paymentStatus,
+      ...charge,
+      policy,
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error("Error previewing cancellation:", error);
+    res.status(500).json({
+      message: "Failed to preview cancellation",
+      error: error.message,
+    });
+  }
+});
+
+// @route   PATCH /api/bookings/:id/cancel
+// @desc    Cancel a booking and return its reserved stock. A cancellation fee
+//          applies under the cancellation policy (admins may send waiveFee)
+// @access  Private
+router.patch("/:id/cancel", authenticateToken, [
+  body("reason").optional().trim().isLength({ max: 500 }).withMessage("Reason cannot be more than 500 characters"),
+  body("waiveFee").optional().isBoolean().withMessage("waiveFee must be true or false"),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
-        message: "Cannot cancel a completed booking",
+        message: "Validation failed",
+        errors: errors.array(),
       });
     }
 
-    // Update booking status to cancelled
-    await booking.updateStatus("cancelled");
-    booking.cancellationReason =
-      req.body.reason ||
-      (isAdmin ? "Cancelled by Admin" : "Cancelled by customer");
-    await booking.save();
+    const isAdmin = req.user.role === "admin";
+
+    const booking = await cancelBooking(req.params.id, {
+      user: req.user,
+      reason:
+        req.body.reason ||
+        (isAdmin ? "Cancelled by Admin" : "Cancelled by customer"),
+      waiveFee: req.body.waiveFee === true || req.body.waiveFee === "true",
+    });
 
     res.json({
       success: true,
       message: "Booking cancelled successfully",
       booking,
+      cancellation: booking.cancellation,
     });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error("Error cancelling booking:", error);
     res.status(500).json({
       message: "Failed to cancel booking",
@@ -234,34 +834,10 @@ router.patch("/:id/complete", authenticateToken, async (req, res) => {
       });
     }
 
-    const booking = await Booking.findById(req.params.id);
-
-    if (!booking) {
-      return res.status(404).json({
-        success: false,
-        message: "Booking not found",
-      });
-    }
-
-    // Check if booking is already completed
-    if (booking.status === "completed") {
-      return res.status(400).json({
-        success: false,
-        message: "Booking is already marked as completed",
-      });
-    }
-
-    // Check if booking is cancelled
-    if (booking.status === "cancelled") {
-      return res.status(400).json({
-        success: false,
-        message: "Cannot complete a cancelled booking",
-      });
-    }
-
-    // Update booking status to completed
-    await booking.updateStatus("completed");
-    await booking.save();
+    const booking = await changeBookingStatus(req.params.id, "completed", {
+      user: req.user,
+      reason: req.body.reason,
+    });
 
     res.json({
       success: true,
@@ -269,6 +845,12 @@ router.patch("/:id/complete", authenticateToken, async (req, res) => {
       booking,
     });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
     console.error("Error completing booking:", error);
     res.status(500).json({
       success: false,
@@ -278,6 +860,386 @@ router.patch("/:id/complete", authenticateToken, async (req, res) => {
   }
 });
 
+// @route   GET /api/bookings/stats/overview
+// @desc    Get sales and revenue statistics for a date range
+// @access  Private (Admin only)
+router.get(
+  "/stats/overview",
+  [
+    authenticateToken,
+    requireAdmin,
+    query("startDate").optional().isISO8601().withMessage("Start date must be a valid date"),
+    query("endDate").optional().isISO8601().withMessage("End date must be a valid date"),
+    query("interval").optional().isIn(["day", "week", "month"]).withMessage("Interval must be day, week or month"),
+    query("top").optional().isInt({ min: 1, max: 50 }).withMessage("Top must be between 1 and 50"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { interval = "day", top = 5 } = req.query;
+
+      // Default to the last 30 days. Bare dates are days in the store's time
+      // zone, the end date included.
+      const endDate = req.query.endDate
+        ? parseDateBound(req.query.endDate, store.timezone, { endOfDay: true })
+        : new Date();
+      const startDate = req.query.startDate
+        ? parseDateBound(req.query.startDate, store.timezone)
+        : new Date(endDate.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+      if (startDate > endDate) {
+        return res.status(400).json({
+          message: "Start date must be before end date",
+        });
+      }
+
+      const isCompleted = { $eq: ["$status", "completed"] };
+      const completedOnly = { $match: { status: "completed" } };
+      const unwindLineItems = [
+        { $project: { item: LINE_ITEMS_EXPRESSION } },
+        { $unwind: "$item" },
+      ];
+
+      const [stats] = await Booking.aggregate([
+        { $match: { orderDate: { $gte: startDate, $lte: endDate } } },
+        {
+          $facet: {
+            overview: [
+              {
+                $group: {
+                  _id: null,
+                  totalBookings: { $sum: 1 },
+                  completedBookings: { $sum: { $cond: [isCompleted, 1, 0] } },
+                  cancelledBookings: { $sum: { $cond: [{ $eq: ["$status", "cancelled"] }, 1, 0] } },
+                  totalRevenue: { $sum: { $cond: [isCompleted, "$totalAmount", 0] } },
+                  unitsSold: { $sum: { $cond: [isCompleted, "$quantity", 0] } },
+                },
+              },
+            ],
+            statusCounts: [
+              { $group: { _id: "$status", count: { $sum: 1 } } },
+              { $sort: { count: -1 } },
+            ],
+            topProducts: [
+              completedOnly,
+              ...unwindLineItems,
+              {
+                $group: {
+                  _id: "$item.productId",
+                  productName: { $last: "$item.productName" },
+                  category: { $last: "$item.productCategory" },
+                  revenue: { $sum: "$item.totalAmount" },
+                  unitsSold: { $sum: "$item.quantity" },
+                  bookings: { $sum: 1 },
+                },
+              },
+              { $sort: { revenue: -1 } },
+              { $limit: parseInt(top) },
+            ],
+            topCategories: [
+              completedOnly,
+              ...unwindLineItems,
+              {
+                $group: {
+                  _id: "$item.productCategory",
+                  revenue: { $sum: "$item.totalAmount" },
+                  unitsSold: { $sum: "$item.quantity" },
+                  bookings: { $sum: 1 },
+                },
+              },
+              { $sort: { revenue: -1 } },
+              { $limit: parseInt(top) },
+            ],
+            timeSeries: [
+              {
+                $group: {
+                  _id: {
+                    $dateTrunc: {
+                      date: "$orderDate",
+                      unit: interval,
+                      timezone: store.timezone,
+                      startOfWeek: "monday",
+                    },
+                  },
+                  bookings: { $sum: 1 },
+                  completedBookings: { $sum: { $cond: [isCompleted, 1, 0] } },
+                  cancelledBookings: { $sum: { $cond: [{ $eq: ["$status", "cancelled"] }, 1, 0] } },
+                  revenue: { $sum: { $cond: [isCompleted, "$totalAmount", 0] } },
+                },
+              },
+              { $sort: { _id: 1 } },
+              {
+                $project: {
+                  _id: 0,
+                  period: "$_id",
+                  bookings: 1,
+                  completedBookings: 1,
+                  cancelledBookings: 1,
+                  revenue: 1,
+                },
+              },
+            ],
+          },
+        },
+      ]);
+
+      const overview = stats.overview[0] || {
+        totalBookings: 0,
+        completedBookings: 0,
+        cancelledBookings: 0,
+        totalRevenue: 0,
+        unitsSold: 0,
+      };
+      delete overview._id;
+
+      overview.cancellationRate = overview.totalBookings
+        ? roundMoney((overview.cancelledBookings / overview.totalBookings) * 100)
+        : 0;
+      overview.averageOrderValue = overview.completedBookings
+        ? roundMoney(overview.totalRevenue / overview.completedBookings)
+        : 0;
+
+      res.json({
+        success: true,
+        range: { startDate, endDate, interval },
+        overview,
+        statusCounts: stats.statusCounts,
+        topProducts: stats.topProducts,
+        topCategories: stats.topCategories,
+        timeSeries: stats.timeSeries,
+      });
+    } catch (error) {
+      console.error("Error fetching booking stats:", error);
+      res.status(500).json({
+        message: "Failed to fetch booking statistics",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// @route   GET /api/bookings/reports/gst
+// @desc    GST summary for filing returns: taxable value and CGST/SGST/IGST of
+//          invoiced sales and of refunded returns (the returned units of
+//          each line, dated by the refund), grouped by month, GST rate and
+//          supply type (defaults to the current financial year)
+// @access  Private (Admin only)
+router.get(
+  "/reports/gst",
+  [
+    authenticateToken,
+    requireAdmin,
+    query("startDate").optional().isISO8601().withMessage("Start date must be a valid date"),
+    query("endDate").optional().isISO8601().withMessage("End date must be a valid date"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      // Bare dates are days in the store's time zone, the end date included
+      const endDate = req.query.endDate
+        ? parseDateBound(req.query.endDate, store.timezone, { endOfDay: true })
+        : new Date();
+      const financialYearStart = `${getFinancialYear(endDate).slice(0, 4)}-04-01`;
+      const startDate = req.query.startDate
+        ? parseDateBound(req.query.startDate, store.timezone)
+        : zonedTimeToUtc(financialYearStart, 0, store.timezone);
+
+      if (startDate > endDate) {
+        return res.status(400).json({
+          message: "Start date must be before end date",
+        });
+      }
+
+      // Bookings made before GST was recorded per line were tax-inclusive at
+      // the default rate and sold within the state
+      const legacyTaxable = {
+        $round: [{ $divide: ["$item.totalAmount", 1 + store.gstRate / 100] }, 2],
+      };
+      const legacyHalfTax = {
+        $round: [{ $divide: [{ $subtract: ["$item.totalAmount", legacyTaxable] }, 2] }, 2],
+      };
+
+      // Totals of line documents ({ bookingId, date, supplyType, item,
+      // share }) by month, GST rate and supply type; `share` is the part of
+      // the line's units being counted
+      const summarizeTax = [
+        {
+          $project: {
+            bookingId: 1,
+            date: 1,
+            supplyType: 1,
+            gstRate: { $ifNull: ["$item.gstRate", store.gstRate] },
+            taxableValue: { $multiply: [{ $ifNull: ["$item.taxableValue", legacyTaxable] }, "$share"] },
+            cgst: { $multiply: [{ $ifNull: ["$item.cgst", legacyHalfTax] }, "$share"] },
+            sgst: { $multiply: [{ $ifNull: ["$item.sgst", legacyHalfTax] }, "$share"] },
+            igst: { $multiply: [{ $ifNull: ["$item.igst", 0] }, "$share"] },
+          },
+        },
+        {
+          $group: {
+            _id: {
+              month: { $dateToString: { format: "%Y-%m", date: "$date", timezone: store.timezone } },
+              gstRate: "$gstRate",
+              supplyType: "$supplyType",
+            },
+            bookings: { $addToSet: "$bookingId" },
+            taxableValue: { $sum: "$taxableValue" },
+            cgst: { $sum: "$cgst" },
+            sgst: { $sum: "$sgst" },
+            igst: { $sum: "$igst" },
+          },
+        },
+        {
+          $project: {
+            _id: 0,
+            month: "$_id.month",
+            gstRate: "$_id.gstRate",
+            supplyType: "$_id.supplyType",
+            bookings: { $size: "$bookings" },
+            taxableValue: { $round: ["$taxableValue", 2] },
+            cgst: { $round: ["$cgst", 2] },
+            sgst: { $round: ["$sgst", 2] },
+            igst: { $round: ["$igst", 2] },
+            totalTax: { $round: [{ $add: ["$cgst", "$sgst", "$igst"] }, 2] },
+          },
+        },
+        { $sort: { month: 1, gstRate: 1, supplyType: 1 } },
+      ];
+
+      // When a return request was refunded, from its status history
+      const refundedAt = {
+        $let: {
+          vars: {
+            entry: {
+              $arrayElemAt: [
+                { $filter: { input: "$history", cond: { $eq: ["$$this.status", "refunded"] } } },
+                0,
+              ],
+            },
+          },
+          in: "$$entry.changedAt",
+        },
+      };
+
+      // The booking line a returned item was sold on
+      const returnedLine = {
+        $arrayElemAt: [
+          {
+            $filter: {
+              input: "$booking.lineItems",
+              cond: {
+                $and: [
+                  { $eq: ["$$this.productId", "$items.productId"] },
+                  { $eq: [{ $ifNull: ["$$this.variantId", null] }, { $ifNull: ["$items.variantId", null] }] },
+                ],
+              },
+            },
+          },
+          0,
+        ],
+      };
+
+      const [sales, returns] = await Promise.all([
+        Booking.aggregate([
+          {
+            $match: {
+              status: { $in: INVOICEABLE_STATUSES },
+              invoiceDate: { $gte: startDate, $lte: endDate },
+            },
+          },
+          {
+            $project: {
+              bookingId: "$_id",
+              date: "$invoiceDate",
+              supplyType: { $ifNull: ["$tax.supplyType", "intra_state"] },
+              item: LINE_ITEMS_EXPRESSION,
+              share: { $literal: 1 },
+            },
+          },
+          { $unwind: "$item" },
+          ...summarizeTax,
+        ]),
+        // Refunded returns reverse the tax of the units they brought back
+        ReturnRequest.aggregate([
+          { $match: { status: "refunded" } },
+          { $project: { bookingId: 1, items: 1, date: refundedAt } },
+          { $match: { date: { $gte: startDate, $lte: endDate } } },
+          {
+            $lookup: {
+              from: Booking.collection.name,
+              let: { bookingId: "$bookingId" },
+              pipeline: [
+                { $match: { $expr: { $eq: ["$_id", "$$bookingId"] } } },
+                {
+                  $project: {
+                    supplyType: { $ifNull: ["$tax.supplyType", "intra_state"] },
+                    lineItems: LINE_ITEMS_EXPRESSION,
+                  },
+                },
+              ],
+              as: "booking",
+            },
+          },
+          { $unwind: "$booking" },
+          { $unwind: "$items" },
+          {
+            $project: {
+              bookingId: 1,
+              date: 1,
+              supplyType: "$booking.supplyType",
+              returnedQuantity: "$items.quantity",
+              item: returnedLine,
+            },
+          },
+          { $match: { item: { $ne: null } } },
+          {
+            $addFields: {
+              share: { $divide: ["$returnedQuantity", "$item.quantity"] },
+            },
+          },
+          ...summarizeTax,
+        ]),
+      ]);
+
+      const sumRows = (rows) => ["taxableValue", "cgst", "sgst", "igst", "totalTax"].reduce(
+        (totals, field) => ({
+          ...totals,
+          [field]: roundMoney(rows.reduce((sum, row) => sum + row[field], 0)),
+        }),
+        {}
+      );
+
+      res.json({
+        success: true,
+        period: { startDate, endDate },
+        storeStateCode: taxConfig.storeStateCode,
+        sales: { rows: sales, totals: sumRows(sales) },
+        returns: { rows: returns, totals: sumRows(returns) },
+      });
+    } catch (error) {
+      console.error("Error fetching GST report:", error);
+      res.status(500).json({
+        message: "Failed to fetch GST report",
+        error: error.message,
+      });
+    }
+  }
+);
+
 // @route   GET /api/bookings/coupon/:couponCode
 // @desc    Get booking by coupon code
 // @access  Private
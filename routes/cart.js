@@ -0,0 +1,305 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import Cart from '../models/Cart.js';
+import { PAYMENT_METHODS } from '../models/Booking.js';
+import Product from '../models/Product.js';
+import { authenticateToken } from '../middleware/auth.js';
+import {
+  checkProductForBooking,
+  createBooking,
+  quoteOrder,
+  resolveCustomerDetails
+} from '../services/bookingService.js';
+import { getCartSummary, MAX_CART_ITEMS } from '../services/cartService.js';
+import { startBookingPayment } from '../services/payments/index.js';
+import { resolvePickupSlot } from '../services/scheduleService.js';
+import { findPriceMismatches } from '../utils/pricing.js';
+import { resolveStateCode } from '../utils/gstStates.js';
+import HttpError from '../utils/httpError.js';
+
+const router = express.Router();
+
+// All cart routes belong to the signed-in user
+router.use(authenticateToken);
+
+// Send the priced cart
+const sendCart = async (res, cart, message) => {
+  const summary = await getCartSummary(cart);
+
+  res.json({
+    success: true,
+    message,
+    cart: {
+      items: summary.items,
+      totals: summary.totals,
+      hasIssues: summary.hasIssues
+    }
+  });
+};
+
+// Check a product (or one of its variants) can be held in the cart in
+// `quantity` units.
+// Returns null when fine, otherwise { status, message }.
+const validateCartQuantity = async (productId, quantity, variantId) => {
+  const product = await Product.findById(productId);
+  const result = checkProductForBooking(product, quantity, variantId);
+  return result.status ? result : null;
+};
+
+// @route   GET /api/cart
+// @desc    Get the current user's cart priced at current product prices
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const cart = await Cart.forUser(req.user._id);
+    await sendCart(res, cart, 'Cart retrieved successfully');
+  } catch (error) {
+    console.error('Get cart error:', error);
+    res.status(500).json({ message: 'Server error while fetching cart' });
+  }
+});
+
+// @route   POST /api/cart/items
+// @desc    Add a product, or a variant of it (variantId), to the cart (adds
+//          to the quantity if already present)
+// @access  Private
+router.post('/items', [
+  body('productId').isMongoId().withMessage('Invalid product ID'),
+  body('variantId').optional().isMongoId().withMessage('Invalid variant ID'),
+  body('quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be a positive integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { productId, variantId } = req.body;
+    const quantity = parseInt(req.body.quantity || 1);
+
+    const cart = await Cart.forUser(req.user._id);
+    const existing = cart.findItem(productId, variantId);
+
+    if (!existing && cart.items.length >= MAX_CART_ITEMS) {
+      return res.status(400).json({ message: `Cart cannot hold more than ${MAX_CART_ITEMS} products` });
+    }
+
+    const newQuantity = (existing ? existing.quantity : 0) + quantity;
+    const problem = await validateCartQuantity(productId, newQuantity, variantId);
+    if (problem) {
+      return res.status(problem.status).json({ message: problem.message });
+    }
+
+    if (existing) {
+      existing.quantity = newQuantity;
+    } else {
+      cart.items.push({ productId, variantId, quantity });
+    }
+    await cart.save();
+
+    await sendCart(res, cart, 'Product added to cart');
+  } catch (error) {
+    console.error('Add to cart error:', error);
+    res.status(500).json({ message: 'Server error while adding to cart' });
+  }
+});
+
+// @route   PATCH /api/cart/items/:productId
+// @desc    Change the quantity of a product in the cart (?variantId= for a
+//          variant of it)
+// @access  Private
+router.patch('/items/:productId', [
+  param('productId').isMongoId().withMessage('Invalid product ID'),
+  query('variantId').optional().isMongoId().withMessage('Invalid variant ID'),
+  body('quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const quantity = parseInt(req.body.quantity);
+    const cart = await Cart.forUser(req.user._id);
+    const item = cart.findItem(req.params.productId, req.query.variantId);
+
+    if (!item) {
+      return res.status(404).json({ message: 'Product not in cart' });
+    }
+
+    const problem = await validateCartQuantity(req.params.productId, quantity, req.query.variantId);
+    if (problem) {
+      return res.status(problem.status).json({ message: problem.message });
+    }
+
+    item.quantity = quantity;
+    await cart.save();
+
+    await sendCart(res, cart, 'Cart updated successfully');
+  } catch (error) {
+    console.error('Update cart error:', error);
+    res.status(500).json({ message: 'Server error while updating cart' });
+  }
+});
+
+// @route   DELETE /api/cart/items/:productId
+// @desc    Remove a product from the cart (?variantId= for a variant of it)
+// @access  Private
+router.delete('/items/:productId', [
+  param('productId').isMongoId().withMessage('Invalid product ID'),
+  query('variantId').optional().isMongoId().withMessage('Invalid variant ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const cart = await Cart.forUser(req.user._id);
+    const item = cart.findItem(req.params.productId, req.query.variantId);
+
+    if (!item) {
+      return res.status(404).json({ message: 'Product not in cart' });
+    }
+
+    cart.items.pull(item);
+    await cart.save();
+
+    await sendCart(res, cart, 'Product removed from cart');
+  } catch (error) {
+    console.error('Remove from cart error:', error);
+    res.status(500).json({ message: 'Server error while removing from cart' });
+  }
+});
+
+// @route   DELETE /api/cart
+// @desc    Remove everything from the cart
+// @access  Private
+router.delete('/', async (req, res) => {
+  try {
+    const cart = await Cart.forUser(req.user._id);
+    cart.items = [];
+    await cart.save();
+
+    await sendCart(res, cart, 'Cart cleared successfully');
+  } catch (error) {
+    console.error('Clear cart error:', error);
+    res.status(500).json({ message: 'Server error while clearing cart' });
+  }
+});
+
+// @route   POST /api/cart/checkout
+// @desc    Turn the cart into a single booking with one line item per product
+// @access  Private
+router.post('/checkout', [
+  body('customerName').optional().trim().notEmpty().withMessage('Customer name cannot be empty'),
+  body('customerPhone').optional().trim().notEmpty().withMessage('Phone number cannot be empty'),
+  body('customerAddress').optional().trim().notEmpty().withMessage('Address cannot be empty'),
+  body('addressId').optional().isMongoId().withMessage('Invalid address ID'),
+  body('customerState').optional().custom((value) => resolveStateCode(value) !== null).withMessage('Unknown customer state'),
+  body('bookingDate').isISO8601().withMessage('Booking date must be a valid date'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot be more than 500 characters'),
+  body('totalAmount').optional().isFloat({ min: 0 }).withMessage('Total amount must be a positive number'),
+  body('paymentMethod').optional().isIn(PAYMENT_METHODS).withMessage('Invalid payment method'),
+  body('promoCode').optional().trim().notEmpty().withMessage('Promo code cannot be empty')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const cart = await Cart.forUser(req.user._id);
+    if (cart.items.length === 0) {
+      return res.status(400).json({ message: 'Cart is empty' });
+    }
+
+    // Customer details, typed in or from a saved address
+    const customer = resolveCustomerDetails(req.user, req.body);
+    if (customer.status) {
+      return res.status(customer.status).json({ message: customer.message });
+    }
+
+    // Check the pickup time against opening hours and holidays
+    const pickup = await resolvePickupSlot(req.body.bookingDate);
+    if (pickup.status) {
+      return res.status(pickup.status).json({ message: pickup.message });
+    }
+
+    const summary = await getCartSummary(cart);
+    if (summary.hasIssues) {
+      return res.status(400).json({
+        message: 'Some products in your cart cannot be booked',
+        issues: summary.items
+          .filter((item) => item.issue)
+          .map((item) => ({ productId: item.productId, message: item.issue }))
+      });
+    }
+
+    // Totals as the booking will charge them, with promo code and GST
+    const totals = await quoteOrder(summary.lineItems, {
+      user: req.user,
+      promoCode: req.body.promoCode,
+      customerState: customer.details.customerState
+    });
+
+    // Reject a stale total the customer confirmed against
+    const mismatches = findPriceMismatches({ totalAmount: req.body.totalAmount }, totals);
+    if (mismatches.length > 0) {
+      return res.status(409).json({
+        message: 'Price has changed or does not match. Please review the updated price and try again.',
+        mismatches,
+        totals
+      });
+    }
+
+    const paymentMethod = req.body.paymentMethod || 'pay_at_store';
+    let booking = await createBooking({
+      user: req.user,
+      items: summary.lineItems,
+      details: { ...customer.details, notes: req.body.notes, paymentMethod },
+      pickup,
+      promoCode: req.body.promoCode
+    }, {
+      // Empty the cart in the same transaction as the booking
+      afterCreate: (created, session) => Cart.updateOne(
+        { _id: cart._id },
+        { $set: { items: [] } },
+        { session }
+      )
+    });
+
+    // Online bookings get a gateway order to pay against
+    let payment;
+    if (paymentMethod === 'online') {
+      ({ booking, order: payment } = await startBookingPayment(booking));
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Booking created successfully',
+      booking,
+      payment
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Checkout error:', error);
+    res.status(500).json({ message: 'Server error during checkout' });
+  }
+});
+
+export default router;
@@ -0,0 +1,49 @@
+import express from 'express';
+import { getFeed } from '../services/feedService.js';
+
+const router = express.Router();
+
+// Send a cached feed, letting clients and proxies keep it for an hour
+const sendFeed = (res, feed, type) => {
+  res.setHeader('Cache-Control', 'public, max-age=3600');
+  res.setHeader('Last-Modified', feed.generatedAt.toUTCString());
+  res.type(type).send(feed.body);
+};
+
+// @route   GET /api/feeds/google.xml
+// @desc    Google Merchant Center RSS feed of the active products
+// @access  Public
+router.get('/google.xml', async (req, res) => {
+  try {
+    sendFeed(res, await getFeed('google'), 'application/xml');
+  } catch (error) {
+    console.error('Google feed error:', error);
+    res.status(500).json({ message: 'Server error while generating product feed' });
+  }
+});
+
+// @route   GET /api/feeds/products.csv
+// @desc    CSV feed of the active products (Merchant Center field names)
+// @access  Public
+router.get('/products.csv', async (req, res) => {
+  try {
+    sendFeed(res, await getFeed('csv'), 'text/csv');
+  } catch (error) {
+    console.error('CSV feed error:', error);
+    res.status(500).json({ message: 'Server error while generating product feed' });
+  }
+});
+
+// @route   GET /api/feeds/sitemap.xml
+// @desc    Sitemap of the storefront's catalog, category and product pages
+// @access  Public
+router.get('/sitemap.xml', async (req, res) => {
+  try {
+    sendFeed(res, await getFeed('sitemap'), 'application/xml');
+  } catch (error) {
+    console.error('Sitemap error:', error);
+    res.status(500).json({ message: 'Server error while generating sitemap' });
+  }
+});
+
+export default router;
@@ -0,0 +1,188 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import Booking from '../models/Booking.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import config from '../config/payments.js';
+import {
+  createPaymentOrder,
+  getPaymentProvider,
+  handlePaymentWebhook,
+  requestRefund
+} from '../services/payments/index.js';
+import HttpError from '../utils/httpError.js';
+
+const router = express.Router();
+
+// @route   POST /api/payments/webhook
+// @desc    Receive payment gateway events (signed; body kept raw for the signature check)
+// @access  Public
+router.post('/webhook', async (req, res) => {
+  try {
+    const result = await handlePaymentWebhook(req.body, req.headers);
+    res.json({ received: true, ...result });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Payment webhook error:', error);
+    res.status(500).json({ message: 'Server error while processing payment webhook' });
+  }
+});
+
+// @route   POST /api/payments/bookings/:id/order
+// @desc    Open a new payment order for an unpaid online booking (e.g. after a failed payment)
+// @access  Private (owner or admin)
+router.post('/bookings/:id/order', authenticateToken, [
+  param('id').isMongoId().withMessage('Invalid booking ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { booking, order } = await createPaymentOrder(req.params.id, { user: req.user });
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment order created successfully',
+      booking,
+      payment: order
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Create payment order error:', error);
+    res.status(500).json({ message: 'Server error while creating payment order' });
+  }
+});
+
+// @route   POST /api/payments/bookings/:id/refund
+// @desc    Retry the refund of a cancelled booking paid online
+// @access  Private (Admin only)
+router.post('/bookings/:id/refund', authenticateToken, requireAdmin, [
+  param('id').isMongoId().withMessage('Invalid booking ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const booking = await requestRefund(req.params.id);
+    if (!booking) {
+      return res.status(409).json({ message: 'No refund is waiting to be requested for this booking' });
+    }
+
+    if (booking.payment.refundError) {
+      return res.status(502).json({
+        message: `Refund failed: ${booking.payment.refundError}`,
+        booking
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Refund requested successfully',
+      booking
+    });
+  } catch (error) {
+    console.error('Refund payment error:', error);
+    res.status(500).json({ message: 'Server error while requesting refund' });
+  }
+});
+
+// Mock gateway checkout, for local development only
+const requireMockCheckout = (req, res, next) => {
+  if (!config.mockCheckoutEnabled || getPaymentProvider().name !== 'mock') {
+    return res.status(404).json({ message: 'Route not found' });
+  }
+  next();
+};
+
+// Outcomes the mock checkout can produce
+const MOCK_OUTCOMES = {
+  success: 'payment.captured',
+  failure: 'payment.failed'
+};
+
+// @route   GET /api/payments/mock/checkout/:orderId
+// @desc    Mock gateway checkout page with buttons to pay or fail the order
+// @access  Public (development only)
+router.get('/mock/checkout/:orderId', requireMockCheckout, async (req, res) => {
+  try {
+    const booking = await Booking.findOne({ 'payment.orderId': req.params.orderId });
+    if (!booking) {
+      return res.status(404).json({ message: 'Payment order not found' });
+    }
+
+    const action = `/api/payments/mock/checkout/${encodeURIComponent(req.params.orderId)}`;
+    res.type('html').send(`<!DOCTYPE html>
+<html>
+<head><title>Mock payment</title></head>
+<body>
+  <h1>Mock payment gateway</h1>
+  <p>Booking ${booking.couponCode}: ${booking.payment.currency} ${booking.payment.amount}</p>
+  <form method="post" action="${action}">
+    <button name="outcome" value="success">Pay</button>
+    <button name="outcome" value="failure">Fail payment</button>
+  </form>
+</body>
+</html>`);
+  } catch (error) {
+    console.error('Mock checkout error:', error);
+    res.status(500).json({ message: 'Server error while loading mock checkout' });
+  }
+});
+
+// @route   POST /api/payments/mock/checkout/:orderId
+// @desc    Complete or fail a mock payment; sends the signed webhook the gateway would send
+// @access  Public (development only)
+router.post('/mock/checkout/:orderId', requireMockCheckout, [
+  body('outcome').isIn(Object.keys(MOCK_OUTCOMES)).withMessage('Outcome must be success or failure'),
+  body('reason').optional().trim().isLength({ max: 200 }).withMessage('Reason cannot be more than 200 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const booking = await Booking.findOne({ 'payment.orderId': req.params.orderId });
+    if (!booking) {
+      return res.status(404).json({ message: 'Payment order not found' });
+    }
+
+    const { rawBody, headers } = getPaymentProvider().simulateEvent({
+      type: MOCK_OUTCOMES[req.body.outcome],
+      orderId: req.params.orderId,
+      amount: booking.payment.amount,
+      reason: req.body.outcome === 'failure' ? req.body.reason || 'Payment declined' : undefined
+    });
+    const result = await handlePaymentWebhook(rawBody, headers);
+
+    res.json({
+      success: true,
+      message: req.body.outcome === 'success' ? 'Mock payment completed' : 'Mock payment failed',
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Mock payment error:', error);
+    res.status(500).json({ message: 'Server error while processing mock payment' });
+  }
+});
+
+export default router;
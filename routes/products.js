@@ -1,24 +1,105 @@
 import express from 'express';
-import { body, validationResult, query } from 'express-validator';
-import Product from '../models/Product.js';
+import { body, param, validationResult, query } from 'express-validator';
+import Product, {
+    PRODUCT_AVAILABILITY,
+    PRODUCT_CATEGORIES,
+    PRODUCT_CONDITIONS,
+    PRODUCT_TYPES
+} from '../models/Product.js';
+import Review from '../models/Review.js';
 import { authenticateToken, requireAdmin, optionalAuth } from '../middleware/auth.js';
-import { uploadMultiple, handleUploadError, deleteImage } from '../config/cloudinary.js';
+import { productRules } from '../middleware/productValidation.js';
+import {
+    uploadMultiple,
+    uploadReviewPhotos,
+    uploadSpreadsheet,
+    handleUploadError,
+    deleteImage
+} from '../config/cloudinary.js';
+import { buildCatalogFilters, findCatalogProducts, toList } from '../services/productCatalogService.js';
+import { exportProducts, importProducts } from '../services/productImportService.js';
+import { correctSearchTerms, suggestProducts } from '../services/productSearchService.js';
+import { createReview, getRatingDistribution } from '../services/reviewService.js';
+import { findLikedProductIds, likeProduct, unlikeProduct } from '../services/wishlistService.js';
+import HttpError from '../utils/httpError.js';
 import dotenv from 'dotenv';
 dotenv.config();
 
 const router = express.Router();
 
+// Product fields the update route may change
+const EDITABLE_PRODUCT_FIELDS = [
+    'sku',
+    'name',
+    'description',
+    'category',
+    'condition',
+    'type',
+    'availability',
+    'price',
+    'originalPrice',
+    'discount',
+    'stock',
+    'features',
+    'hsnCode',
+    'gstRate',
+    'specifications',
+    'tags',
+    'variants',
+    'isActive'
+];
+
+// Fields worked out from the variants of products sold in variants
+const VARIANT_SUMMARY_FIELDS = ['price', 'originalPrice', 'stock'];
+
+// Send mongoose validation and duplicate SKU errors as 400/409.
+// Returns true when a response was sent.
+const sendSaveError = (res, error) => {
+    if (error.code === 11000) {
+        res.status(409).json({ message: 'A product or variant with this SKU already exists' });
+        return true;
+    }
+    if (error.name === 'ValidationError') {
+        res.status(400).json({
+            message: 'Validation failed',
+            errors: Object.values(error.errors).map(item => ({ path: item.path, msg: item.message }))
+        });
+        return true;
+    }
+    return false;
+};
+
 // @route   GET /api/products
-// @desc    Get all products with filtering and pagination
+// @desc    Get all products with filtering, facet counts and pagination.
+//          category, condition, type, brand, year, availability and tags take
+//          several values (repeated or comma-separated), as do variant
+//          attributes (variant[ram]=8GB,16GB). Signed-in callers get isLiked
+//          per product.
 // @access  Public
 router.get('/', [
+    optionalAuth,
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
     query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
-    query('category').optional().isIn(['Laptops', 'Desktops', 'Security', 'Accessories', 'Audio', 'Networking', 'Components', 'Monitors', 'Storage', 'Gaming']).withMessage('Invalid category'),
-    query('condition').optional().isIn(['New', 'Excellent', 'Very Good', 'Good', 'Fair']).withMessage('Invalid condition'),
-    query('type').optional().isIn(['Second Hand', 'New/Refurbished', 'Spare Parts', 'Refurbished']).withMessage('Invalid type'),
+    query('category').optional().customSanitizer(toList).isIn(PRODUCT_CATEGORIES).withMessage('Invalid category'),
+    query('condition').optional().customSanitizer(toList).isIn(PRODUCT_CONDITIONS).withMessage('Invalid condition'),
+    query('type').optional().customSanitizer(toList).isIn(PRODUCT_TYPES).withMessage('Invalid type'),
+    query('availability').optional().customSanitizer(toList).isIn(PRODUCT_AVAILABILITY).withMessage('Invalid availability status'),
+    query('brand').optional().customSanitizer(toList).isLength({ max: 50 }).withMessage('Brand cannot be more than 50 characters'),
+    query('year').optional().customSanitizer(toList).isInt({ min: 1900, max: 2100 }).withMessage('Year must be between 1900 and 2100'),
+    query('tags').optional().customSanitizer(toList).isLength({ max: 50 }).withMessage('Tag cannot be more than 50 characters'),
+    query('variant').optional()
+        .isObject().withMessage('Variant filter must be given as variant[attribute]=value')
+        .customSanitizer(attributes => Object.fromEntries(
+            Object.entries(attributes).map(([name, values]) => [name.trim().toLowerCase(), toList(values)])
+        ))
+        .custom(attributes => Object.keys(attributes).every(name => /^[a-z][a-z0-9_]{0,29}$/.test(name)))
+        .withMessage('Variant attribute names must be letters, digits or underscores'),
+    query('minPrice').optional().isFloat({ min: 0 }).withMessage('Minimum price must be a positive number'),
+    query('maxPrice').optional().isFloat({ min: 0 }).withMessage('Maximum price must be a positive number'),
+    query('inStock').optional().isBoolean().withMessage('inStock must be true or false'),
     query('search').optional().isLength({ min: 1, max: 100 }).withMessage('Search term must be between 1 and 100 characters'),
-    query('sort').optional().isIn(['newest', 'oldest', 'name', 'price-low', 'price-high', 'popular']).withMessage('Invalid sort option')
+    query('minRating').optional().isFloat({ min: 1, max: 5 }).withMessage('Minimum rating must be between 1 and 5'),
+    query('sort').optional().isIn(['relevance', 'newest', 'oldest', 'name', 'price-low', 'price-high', 'popular', 'rating']).withMessage('Invalid sort option')
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -29,31 +110,38 @@ router.get('/', [
             });
         }
 
-        const {
-            page = 1,
-            limit = 12,
-            category,
-            condition,
-            type,
-            search,
-            sort = 'newest'
-        } = req.query;
-
-        const filter = { isActive: true };
+        const { search } = req.query;
+        const page = parseInt(req.query.page || 1);
+        const limit = parseInt(req.query.limit || 12);
+        // Searches are ranked by relevance unless another order is asked for
+        const sort = req.query.sort || (search ? 'relevance' : 'newest');
 
-        if (category) filter.category = category;
-        if (condition) filter.condition = condition;
-        if (type) filter.type = type;
-        if (search) {
-            filter.$or = [
-                { name: { $regex: search, $options: 'i' } },
-                { description: { $regex: search, $options: 'i' } },
-                { category: { $regex: search, $options: 'i' } }
-            ];
+        const minPrice = req.query.minPrice !== undefined ? parseFloat(req.query.minPrice) : undefined;
+        const maxPrice = req.query.maxPrice !== undefined ? parseFloat(req.query.maxPrice) : undefined;
+        if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+            return res.status(400).json({ message: 'Minimum price cannot be more than maximum price' });
         }
 
+        const { filters, facetFilters } = buildCatalogFilters({
+            category: req.query.category,
+            condition: req.query.condition,
+            type: req.query.type,
+            brand: req.query.brand,
+            minPrice,
+            maxPrice,
+            variantAttributes: req.query.variant,
+            year: req.query.year && req.query.year.map((year) => parseInt(year)),
+            availability: req.query.availability,
+            inStock: req.query.inStock === 'true',
+            tags: req.query.tags && req.query.tags.map((tag) => tag.toLowerCase()),
+            minRating: req.query.minRating !== undefined ? parseFloat(req.query.minRating) : undefined
+        });
+
         let sortObj = {};
         switch (sort) {
+            case 'relevance':
+                sortObj = search ? { score: -1, views: -1 } : { createdAt: -1 };
+                break;
             case 'newest':
                 sortObj = { createdAt: -1 };
                 break;
@@ -72,30 +160,53 @@ router.get('/', [
             case 'popular':
                 sortObj = { views: -1, likes: -1 };
                 break;
+            case 'rating':
+                sortObj = { averageRating: -1, reviewCount: -1 };
+                break;
             default:
                 sortObj = { createdAt: -1 };
         }
 
-        const skip = (parseInt(page) - 1) * parseInt(limit);
+        const findProducts = (searchTerms) => findCatalogProducts({
+            search: searchTerms,
+            filters,
+            facetFilters,
+            sort: sortObj,
+            page,
+            limit
+        });
+
+        let result = await findProducts(search);
 
-        const products = await Product.find(filter)
-            .sort(sortObj)
-            .skip(skip)
-            .limit(parseInt(limit))
-            .populate('createdBy', 'name email')
-            .lean();
+        // Nothing found: retry with misspelt words replaced by known ones
+        let correctedSearch;
+        if (search && result.total === 0) {
+            correctedSearch = await correctSearchTerms(search);
+            if (correctedSearch) {
+                result = await findProducts(correctedSearch);
+            }
+        }
 
-        const total = await Product.countDocuments(filter);
-        const totalPages = Math.ceil(total / parseInt(limit));
+        const { products, total, facets } = result;
+        const totalPages = Math.ceil(total / limit);
+
+        if (req.user) {
+            const liked = await findLikedProductIds(req.user._id, products.map(product => product._id));
+            products.forEach(product => {
+                product.isLiked = liked.has(product._id.toString());
+            });
+        }
 
         res.json({
             products,
+            ...(correctedSearch && { correctedSearch }),
+            facets,
             pagination: {
-                currentPage: parseInt(page),
+                currentPage: page,
                 totalPages,
                 totalProducts: total,
-                hasNextPage: parseInt(page) < totalPages,
-                hasPrevPage: parseInt(page) > 1
+                hasNextPage: page < totalPages,
+                hasPrevPage: page > 1
             }
         });
     } catch (error) {
@@ -104,10 +215,67 @@ router.get('/', [
     }
 });
 
+// @route   GET /api/products/suggest
+// @desc    Autocomplete product names and brands for a partly typed search
+// @access  Public
+router.get('/suggest', [
+    query('q').trim().isLength({ min: 1, max: 100 }).withMessage('Search term must be between 1 and 100 characters'),
+    query('limit').optional().isInt({ min: 1, max: 20 }).withMessage('Limit must be between 1 and 20')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const suggestions = await suggestProducts(req.query.q, {
+            limit: parseInt(req.query.limit || 8)
+        });
+
+        res.json(suggestions);
+    } catch (error) {
+        console.error('Suggest products error:', error);
+        res.status(500).json({ message: 'Server error while fetching suggestions' });
+    }
+});
+
+// @route   GET /api/products/export
+// @desc    Export the whole catalog as CSV (default) or XLSX (format), in the
+//          columns the import takes
+// @access  Private (Admin only)
+router.get('/export', [
+    authenticateToken,
+    requireAdmin,
+    query('format').optional().isIn(['csv', 'xlsx']).withMessage('Format must be csv or xlsx')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const format = req.query.format || 'csv';
+        const file = await exportProducts(format);
+        const filename = `products-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.type(format === 'xlsx' ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' : 'text/csv').send(file);
+    } catch (error) {
+        console.error('Export products error:', error);
+        res.status(500).json({ message: 'Server error while exporting products' });
+    }
+});
+
 // @route   GET /api/products/:id
-// @desc    Get single product by ID
+// @desc    Get single product by ID (with isLiked for signed-in callers)
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
     try {
         const product = await Product.findById(req.params.id)
             .populate('createdBy', 'name email')
@@ -123,6 +291,11 @@ router.get('/:id', async (req, res) => {
 
         await Product.findByIdAndUpdate(req.params.id, { $inc: { views: 1 } });
 
+        if (req.user) {
+            const liked = await findLikedProductIds(req.user._id, [product._id]);
+            product.isLiked = liked.has(product._id.toString());
+        }
+
         res.json({ product });
     } catch (error) {
         console.error('Get product error:', error);
@@ -133,6 +306,169 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+// @route   POST /api/products/:id/like
+// @desc    Add a product to the user's wishlist
+// @access  Private
+router.post('/:id/like', authenticateToken, async (req, res) => {
+    try {
+        const { liked, likes } = await likeProduct(req.user, req.params.id);
+
+        res.json({
+            message: 'Product added to wishlist',
+            liked,
+            likes
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Like product error:', error);
+        res.status(500).json({ message: 'Server error while adding product to wishlist' });
+    }
+});
+
+// @route   DELETE /api/products/:id/like
+// @desc    Remove a product from the user's wishlist
+// @access  Private
+router.delete('/:id/like', authenticateToken, async (req, res) => {
+    try {
+        const { liked, likes } = await unlikeProduct(req.user, req.params.id);
+
+        res.json({
+            message: 'Product removed from wishlist',
+            liked,
+            likes
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Unlike product error:', error);
+        res.status(500).json({ message: 'Server error while removing product from wishlist' });
+    }
+});
+
+// @route   GET /api/products/:id/reviews
+// @desc    Get the approved reviews of a product with its rating summary
+// @access  Public
+router.get('/:id/reviews', [
+    param('id').isMongoId().withMessage('Invalid product ID'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+    query('rating').optional().isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+    query('sort').optional().isIn(['newest', 'oldest', 'rating-high', 'rating-low']).withMessage('Invalid sort option')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const product = await Product.findById(req.params.id).select('isActive averageRating reviewCount');
+        if (!product || !product.isActive) {
+            return res.status(404).json({ message: 'Product not found' });
+        }
+
+        const page = parseInt(req.query.page || 1);
+        const limit = parseInt(req.query.limit || 10);
+
+        const filter = { productId: product._id, status: 'approved' };
+        if (req.query.rating) filter.rating = parseInt(req.query.rating);
+
+        const sortOptions = {
+            newest: { createdAt: -1 },
+            oldest: { createdAt: 1 },
+            'rating-high': { rating: -1, createdAt: -1 },
+            'rating-low': { rating: 1, createdAt: -1 }
+        };
+
+        const [reviews, total, distribution] = await Promise.all([
+            Review.find(filter)
+                .select('-photoPublicIds -moderatedBy -moderationNote')
+                .populate('userId', 'name')
+                .sort(sortOptions[req.query.sort || 'newest'])
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            Review.countDocuments(filter),
+            getRatingDistribution(product._id)
+        ]);
+
+        res.json({
+            reviews,
+            summary: {
+                averageRating: product.averageRating,
+                reviewCount: product.reviewCount,
+                distribution
+            },
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalReviews: total,
+                hasNextPage: page * limit < total,
+                hasPrevPage: page > 1
+            }
+        });
+    } catch (error) {
+        console.error('Get reviews error:', error);
+        res.status(500).json({ message: 'Server error while fetching reviews' });
+    }
+});
+
+// @route   POST /api/products/:id/reviews
+// @desc    Review a product bought in a completed booking, with up to 5
+//          photos; the review is shown once an admin approves it
+// @access  Private
+router.post('/:id/reviews', [
+    authenticateToken,
+    uploadReviewPhotos,
+    param('id').isMongoId().withMessage('Invalid product ID'),
+    body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be a whole number between 1 and 5'),
+    body('title').trim().isLength({ min: 3, max: 100 }).withMessage('Title must be between 3 and 100 characters'),
+    body('text').trim().isLength({ min: 10, max: 2000 }).withMessage('Review must be between 10 and 2000 characters')
+], handleUploadError, async (req, res) => {
+    const files = req.files || [];
+    // Uploaded photos are removed again if the review is not created
+    const discardPhotos = () => Promise.all(files.map(file => deleteImage(file.filename)))
+        .catch(error => console.error('Discard review photos error:', error));
+
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            await discardPhotos();
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const review = await createReview({
+            user: req.user,
+            productId: req.params.id,
+            rating: parseInt(req.body.rating),
+            title: req.body.title,
+            text: req.body.text,
+            photos: files.map(file => file.path),
+            photoPublicIds: files.map(file => file.filename)
+        });
+
+        res.status(201).json({
+            message: 'Review submitted successfully. It will appear once approved.',
+            review
+        });
+    } catch (error) {
+        await discardPhotos();
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Create review error:', error);
+        res.status(500).json({ message: 'Server error while submitting review' });
+    }
+});
+
 // @route   POST /api/products
 // @desc    Create new product
 // @access  Private (Admin only)
@@ -140,14 +476,7 @@ router.post('/', [
     authenticateToken,
     requireAdmin,
     uploadMultiple,
-    body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Product name must be between 2 and 100 characters'),
-    body('description').trim().isLength({ min: 10, max: 1000 }).withMessage('Description must be between 10 and 1000 characters'),
-    body('category').isIn(['Laptops', 'Desktops', 'Security', 'Accessories', 'Audio', 'Networking', 'Components', 'Monitors', 'Storage', 'Gaming']).withMessage('Invalid category'),
-    body('condition').isIn(['New', 'Excellent', 'Very Good', 'Good', 'Fair']).withMessage('Invalid condition'),
-    body('type').isIn(['Second Hand', 'New/Refurbished', 'Spare Parts', 'Refurbished']).withMessage('Invalid type'),
-    body('availability').optional().isIn(['Available', 'Out of Stock', 'Discontinued']).withMessage('Invalid availability status'),
-    body('price').optional().isFloat({ min: 0 }).withMessage('Price must be a positive number'),
-    body('stock').optional().isInt({ min: 0 }).withMessage('Stock must be a non-negative integer'),
+    ...productRules(),
     body('features').optional().isArray().withMessage('Features must be an array')
 ], handleUploadError, async (req, res) => {
     try {
@@ -169,6 +498,7 @@ router.post('/', [
         }
 
         const {
+            sku,
             name,
             description,
             category,
@@ -177,7 +507,10 @@ router.post('/', [
             availability = 'Available',
             price,
             stock = 1,
-            features = []
+            features = [],
+            hsnCode,
+            gstRate,
+            variants = []
         } = req.body;
 
         let parsedFeatures = features;
@@ -193,6 +526,7 @@ router.post('/', [
         const imagePublicIds = req.files.map(file => file.filename);
 
         const product = new Product({
+            sku,
             name,
             description,
             category,
@@ -202,8 +536,11 @@ router.post('/', [
             price: price ? parseFloat(price) : undefined,
             stock: parseInt(stock),
             features: parsedFeatures,
+            hsnCode,
+            gstRate: gstRate !== undefined && gstRate !== '' ? parseFloat(gstRate) : undefined,
             images: imagePaths,
             imagePublicIds: imagePublicIds,
+            variants,
             createdBy: req.user._id
         });
 
@@ -214,26 +551,64 @@ router.post('/', [
             product
         });
     } catch (error) {
+        if (sendSaveError(res, error)) return;
         console.error('Create product error:', error);
         res.status(500).json({ message: 'Server error while creating product' });
     }
 });
 
+// @route   POST /api/products/import
+// @desc    Create and update products from a CSV or XLSX file (`file`), one
+//          product per row, matched to existing products by SKU. Rows are
+//          checked with the create route's rules; ?dryRun=true only reports
+//          each row's errors without saving anything.
+// @access  Private (Admin only)
+router.post('/import', [
+    authenticateToken,
+    requireAdmin,
+    uploadSpreadsheet,
+    query('dryRun').optional().isBoolean().withMessage('dryRun must be true or false')
+], handleUploadError, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({ message: 'Please upload a CSV or XLSX file' });
+        }
+
+        const dryRun = req.query.dryRun === 'true';
+        const result = await importProducts(req.file, { user: req.user, dryRun });
+
+        res.json({
+            message: dryRun ? 'Import checked, nothing was saved' : 'Import finished',
+            ...result
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ message: error.message, ...error.details });
+        }
+        console.error('Import products error:', error);
+        res.status(500).json({ message: 'Server error while importing products' });
+    }
+});
+
 // @route   PUT /api/products/:id
-// @desc    Update product
+// @desc    Update product. `variants`, when sent, replaces the variant list;
+//          variants sent without their _id are added as new ones, and those
+//          sent with it keep their stock unless a stock is sent. Stock is
+//          changed by what was sent, on top of bookings made meanwhile.
 // @access  Private (Admin only)
 router.put('/:id', [
     authenticateToken,
     requireAdmin,
     uploadMultiple,
-    body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Product name must be between 2 and 100 characters'),
-    body('description').optional().trim().isLength({ min: 10, max: 1000 }).withMessage('Description must be between 10 and 1000 characters'),
-    body('category').optional().isIn(['Laptops', 'Desktops', 'Security', 'Accessories', 'Audio', 'Networking', 'Components', 'Monitors', 'Storage', 'Gaming']).withMessage('Invalid category'),
-    body('condition').optional().isIn(['New', 'Excellent', 'Very Good', 'Good', 'Fair']).withMessage('Invalid condition'),
-    body('type').optional().isIn(['Second Hand', 'New/Refurbished', 'Spare Parts', 'Refurbished']).withMessage('Invalid type'),
-    body('availability').optional().isIn(['Available', 'Out of Stock', 'Discontinued']).withMessage('Invalid availability status'),
-    body('price').optional().isFloat({ min: 0 }).withMessage('Price must be a positive number'),
-    body('stock').optional().isInt({ min: 0 }).withMessage('Stock must be a non-negative integer'),
+    ...productRules({ optional: true }),
     body('existingImagePublicIds').optional().isArray().withMessage('Existing image IDs must be an array')
 ], handleUploadError, async (req, res) => {
     try {
@@ -250,9 +625,22 @@ router.put('/:id', [
             return res.status(404).json({ message: 'Product not found' });
         }
 
-        const updateData = { ...req.body };
-        const existingPublicIdsToKeep = updateData.existingImagePublicIds || [];
-        delete updateData.existingImagePublicIds;
+        // Only what an admin edits; likes, ratings and the variant summary
+        // are kept by the server
+        const updateData = {};
+        EDITABLE_PRODUCT_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) updateData[field] = req.body[field];
+        });
+        const existingPublicIdsToKeep = req.body.existingImagePublicIds || [];
+
+        const hasVariants = updateData.variants !== undefined
+            ? updateData.variants.some(variant => String(variant.isActive) !== 'false')
+            : product.hasVariants();
+        if (hasVariants && VARIANT_SUMMARY_FIELDS.some(field => updateData[field] !== undefined)) {
+            return res.status(400).json({
+                message: 'Price and stock of a product with variants are set on its variants'
+            });
+        }
 
         let newImagePaths = [];
         let newImagePublicIds = [];
@@ -294,18 +682,28 @@ router.put('/:id', [
 
         if (updateData.price) updateData.price = parseFloat(updateData.price);
         if (updateData.stock) updateData.stock = parseInt(updateData.stock);
+        if (updateData.gstRate !== undefined) updateData.gstRate = parseFloat(updateData.gstRate);
 
-        const updatedProduct = await Product.findByIdAndUpdate(
-            req.params.id,
-            updateData,
-            { new: true, runValidators: true }
-        ).populate('createdBy', 'name email');
+        // A variant kept by its _id keeps its stock unless one is sent
+        if (updateData.variants) {
+            updateData.variants = updateData.variants.map(variant => {
+                const current = variant._id && product.variants.id(variant._id);
+                return current && variant.stock === undefined ? { ...variant, stock: current.stock } : variant;
+            });
+        }
+
+        // Saved through the document so the variant summary is recomputed,
+        // without writing back stock that bookings changed meanwhile
+        product.set(updateData);
+        await product.saveKeepingStock();
+        await product.populate('createdBy', 'name email');
 
         res.json({
             message: 'Product updated successfully',
-            product: updatedProduct
+            product
         });
     } catch (error) {
+        if (sendSaveError(res, error)) return;
         console.error('Update product error:', error);
         if (error.name === 'CastError') {
             return res.status(400).json({ message: 'Invalid product ID' });
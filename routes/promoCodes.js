@@ -0,0 +1,335 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import Cart from '../models/Cart.js';
+import Product, { PRODUCT_CATEGORIES } from '../models/Product.js';
+import PromoCode, { DISCOUNT_TYPES } from '../models/PromoCode.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { buildLineItem, checkProductForBooking, quoteOrder } from '../services/bookingService.js';
+import { getCartSummary } from '../services/cartService.js';
+import { normalizePromoCode, previewPromoCode } from '../services/promoService.js';
+import HttpError from '../utils/httpError.js';
+import escapeRegex from '../utils/escapeRegex.js';
+
+const router = express.Router();
+
+// Fields an admin may set on a promo code
+const PROMO_FIELDS = [
+  'code',
+  'description',
+  'discountType',
+  'discountValue',
+  'maxDiscount',
+  'minOrderValue',
+  'applicableCategories',
+  'applicableProducts',
+  'validFrom',
+  'validUntil',
+  'usageLimit',
+  'perUserLimit',
+  'isActive'
+];
+
+// Validation for creating (all required fields) or updating (all optional)
+const promoValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('code').trim().customSanitizer(normalizePromoCode)
+      .matches(/^[A-Z0-9_-]{3,20}$/).withMessage('Promo code must be 3-20 letters, digits, dashes or underscores'),
+    body('description').optional().trim().isLength({ max: 200 }).withMessage('Description cannot be more than 200 characters'),
+    field('discountType').isIn(DISCOUNT_TYPES).withMessage('Discount type must be percentage or flat'),
+    field('discountValue').isFloat({ gt: 0 }).withMessage('Discount value must be a positive number'),
+    body('maxDiscount').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Maximum discount must be a positive number'),
+    body('minOrderValue').optional().isFloat({ min: 0 }).withMessage('Minimum order value must be a positive number'),
+    body('applicableCategories').optional().isArray().withMessage('Applicable categories must be an array'),
+    body('applicableCategories.*').isIn(PRODUCT_CATEGORIES).withMessage('Invalid category'),
+    body('applicableProducts').optional().isArray().withMessage('Applicable products must be an array'),
+    body('applicableProducts.*').isMongoId().withMessage('Invalid product ID'),
+    body('validFrom').optional({ nullable: true }).isISO8601().withMessage('Valid from must be a valid date'),
+    body('validUntil').optional({ nullable: true }).isISO8601().withMessage('Valid until must be a valid date'),
+    body('usageLimit').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Usage limit must be a positive integer'),
+    body('perUserLimit').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Per-user limit must be a positive integer'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+  ];
+};
+
+// Copy the admin-settable fields present in the request onto a promo code.
+// null clears optional limits and dates.
+const applyPromoFields = (promo, values) => {
+  PROMO_FIELDS.forEach((name) => {
+    if (values[name] !== undefined) {
+      promo[name] = values[name] === null ? undefined : values[name];
+    }
+  });
+};
+
+// Send mongoose validation and duplicate code errors as 400/409.
+// Returns true when a response was sent.
+const sendSaveError = (res, error) => {
+  if (error.code === 11000) {
+    res.status(409).json({ message: 'A promo code with this code already exists' });
+    return true;
+  }
+  if (error.name === 'ValidationError') {
+    res.status(400).json({
+      message: 'Validation failed',
+      errors: Object.values(error.errors).map((item) => ({ path: item.path, msg: item.message }))
+    });
+    return true;
+  }
+  return false;
+};
+
+// @route   POST /api/promo-codes/validate
+// @desc    Check a promo code against a product (productId, variantId,
+//          quantity) or the caller's cart and return the discount it would give
+// @access  Private
+router.post('/validate', authenticateToken, [
+  body('code').trim().notEmpty().withMessage('Promo code is required'),
+  body('productId').optional().isMongoId().withMessage('Invalid product ID'),
+  body('variantId').optional().isMongoId().withMessage('Invalid variant ID'),
+  body('quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be a positive integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let items;
+
+    if (req.body.productId) {
+      const quantity = parseInt(req.body.quantity || 1);
+      const product = await Product.findById(req.body.productId);
+      const result = checkProductForBooking(product, quantity, req.body.variantId);
+      if (result.status) {
+        return res.status(result.status).json({ message: result.message });
+      }
+
+      items = [buildLineItem(product, result.pricing, result.variant)];
+    } else {
+      const summary = await getCartSummary(await Cart.forUser(req.user._id));
+      if (summary.lineItems.length === 0) {
+        return res.status(400).json({ message: 'Cart is empty' });
+      }
+
+      items = summary.lineItems;
+    }
+
+    const { promo, discount, eligibleAmount } = await previewPromoCode(req.body.code, { user: req.user, items });
+    const totals = await quoteOrder(items, { user: req.user, promoCode: promo.code });
+
+    res.json({
+      success: true,
+      valid: true,
+      promoCode: {
+        code: promo.code,
+        description: promo.description,
+        discountType: promo.discountType,
+        discountValue: promo.discountValue
+      },
+      discount,
+      eligibleAmount,
+      totals
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ valid: false, message: error.message });
+    }
+    console.error('Validate promo code error:', error);
+    res.status(500).json({ message: 'Server error while validating promo code' });
+  }
+});
+
+// @route   GET /api/promo-codes
+// @desc    List promo codes
+// @access  Private (Admin only)
+router.get('/', [
+  authenticateToken,
+  requireAdmin,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+  query('search').optional().isLength({ min: 1, max: 100 }).withMessage('Search term must be between 1 and 100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page || 1);
+    const limit = parseInt(req.query.limit || 10);
+
+    const filter = {};
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === 'true';
+    }
+    if (req.query.search) {
+      const pattern = escapeRegex(req.query.search);
+      filter.$or = [
+        { code: { $regex: pattern, $options: 'i' } },
+        { description: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    const [promoCodes, total] = await Promise.all([
+      PromoCode.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      PromoCode.countDocuments(filter)
+    ]);
+
+    res.json({
+      promoCodes,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalPromoCodes: total,
+        hasNextPage: page * limit < total,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get promo codes error:', error);
+    res.status(500).json({ message: 'Server error while fetching promo codes' });
+  }
+});
+
+// @route   GET /api/promo-codes/:id
+// @desc    Get a promo code
+// @access  Private (Admin only)
+router.get('/:id', [
+  authenticateToken,
+  requireAdmin,
+  param('id').isMongoId().withMessage('Invalid promo code ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const promoCode = await PromoCode.findById(req.params.id)
+      .populate('applicableProducts', 'name category');
+
+    if (!promoCode) {
+      return res.status(404).json({ message: 'Promo code not found' });
+    }
+
+    res.json({ promoCode });
+  } catch (error) {
+    console.error('Get promo code error:', error);
+    res.status(500).json({ message: 'Server error while fetching promo code' });
+  }
+});
+
+// @route   POST /api/promo-codes
+// @desc    Create a promo code
+// @access  Private (Admin only)
+router.post('/', [
+  authenticateToken,
+  requireAdmin,
+  ...promoValidators(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const promoCode = new PromoCode({ createdBy: req.user._id });
+    applyPromoFields(promoCode, req.body);
+    await promoCode.save();
+
+    res.status(201).json({
+      message: 'Promo code created successfully',
+      promoCode
+    });
+  } catch (error) {
+    if (sendSaveError(res, error)) return;
+    console.error('Create promo code error:', error);
+    res.status(500).json({ message: 'Server error while creating promo code' });
+  }
+});
+
+// @route   PUT /api/promo-codes/:id
+// @desc    Update a promo code
+// @access  Private (Admin only)
+router.put('/:id', [
+  authenticateToken,
+  requireAdmin,
+  param('id').isMongoId().withMessage('Invalid promo code ID'),
+  ...promoValidators(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const promoCode = await PromoCode.findById(req.params.id);
+    if (!promoCode) {
+      return res.status(404).json({ message: 'Promo code not found' });
+    }
+
+    applyPromoFields(promoCode, req.body);
+    await promoCode.save();
+
+    res.json({
+      message: 'Promo code updated successfully',
+      promoCode
+    });
+  } catch (error) {
+    if (sendSaveError(res, error)) return;
+    console.error('Update promo code error:', error);
+    res.status(500).json({ message: 'Server error while updating promo code' });
+  }
+});
+
+// @route   DELETE /api/promo-codes/:id
+// @desc    Delete a promo code (bookings keep the code and discount they got)
+// @access  Private (Admin only)
+router.delete('/:id', [
+  authenticateToken,
+  requireAdmin,
+  param('id').isMongoId().withMessage('Invalid promo code ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const promoCode = await PromoCode.findByIdAndDelete(req.params.id);
+    if (!promoCode) {
+      return res.status(404).json({ message: 'Promo code not found' });
+    }
+
+    res.json({ message: 'Promo code deleted successfully' });
+  } catch (error) {
+    console.error('Delete promo code error:', error);
+    res.status(500).json({ message: 'Server error while deleting promo code' });
+  }
+});
+
+export default router;
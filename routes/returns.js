@@ -0,0 +1,324 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import ReturnRequest, { RETURN_REASONS, RETURN_STATUSES } from '../models/ReturnRequest.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { uploadReturnPhotos, handleUploadError, deleteImage } from '../config/cloudinary.js';
+import {
+  approveReturn,
+  createReturnRequest,
+  inspectReturn,
+  refundReturn,
+  rejectReturn
+} from '../services/returnService.js';
+import HttpError from '../utils/httpError.js';
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Items come as a JSON string in multipart forms
+const parseItems = (items) => {
+  if (items === undefined || items === '') return undefined;
+  if (Array.isArray(items)) return items;
+
+  try {
+    const parsed = JSON.parse(items);
+    return Array.isArray(parsed) ? parsed : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+// Send an HttpError thrown by the return service
+const sendHttpError = (res, error) => res.status(error.status).json({
+  message: error.message,
+  ...error.details
+});
+
+// @route   POST /api/returns
+// @desc    Open a return request for a completed booking, with up to 5 photos
+// @access  Private
+router.post('/', [
+  uploadReturnPhotos,
+  body('bookingId').isMongoId().withMessage('Invalid booking ID'),
+  body('reason').isIn(RETURN_REASONS).withMessage('Invalid return reason'),
+  body('description').trim().isLength({ min: 10, max: 1000 }).withMessage('Description must be between 10 and 1000 characters')
+], handleUploadError, async (req, res) => {
+  const files = req.files || [];
+  // Uploaded photos are removed again if the request is not created
+  const discardPhotos = () => Promise.all(files.map((file) => deleteImage(file.filename)))
+    .catch((error) => console.error('Discard return photos error:', error));
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await discardPhotos();
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const items = parseItems(req.body.items);
+    if (items === null) {
+      await discardPhotos();
+      return res.status(400).json({ message: 'Items must be a JSON array of { productId, variantId, quantity }' });
+    }
+
+    const returnRequest = await createReturnRequest({
+      user: req.user,
+      bookingId: req.body.bookingId,
+      reason: req.body.reason,
+      description: req.body.description,
+      items,
+      photos: files.map((file) => file.path),
+      photoPublicIds: files.map((file) => file.filename)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Return request submitted successfully',
+      returnRequest
+    });
+  } catch (error) {
+    await discardPhotos();
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error);
+    }
+    console.error('Create return request error:', error);
+    res.status(500).json({ message: 'Server error while creating return request' });
+  }
+});
+
+// @route   GET /api/returns
+// @desc    List return requests (own requests, or all for admins)
+// @access  Private
+router.get('/', [
+  query('status').optional().isIn(RETURN_STATUSES).withMessage('Invalid return status'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page || 1);
+    const limit = parseInt(req.query.limit || 10);
+
+    const filter = {};
+    if (req.user.role !== 'admin') {
+      filter.userId = req.user._id;
+    }
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const [returnRequests, total] = await Promise.all([
+      ReturnRequest.find(filter)
+        .populate('bookingId', 'couponCode totalAmount status completedAt')
+        .populate('userId', 'name email phone')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ReturnRequest.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      returnRequests,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalReturnRequests: total,
+        hasNextPage: page * limit < total,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get return requests error:', error);
+    res.status(500).json({ message: 'Server error while fetching return requests' });
+  }
+});
+
+// @route   GET /api/returns/:id
+// @desc    Get a return request
+// @access  Private (owner or admin)
+router.get('/:id', [
+  param('id').isMongoId().withMessage('Invalid return request ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const returnRequest = await ReturnRequest.findById(req.params.id)
+      .populate('bookingId')
+      .populate('userId', 'name email phone');
+
+    if (!returnRequest) {
+      return res.status(404).json({ message: 'Return request not found' });
+    }
+
+    if (req.user.role !== 'admin' && returnRequest.userId._id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to view this return request' });
+    }
+
+    res.json({ success: true, returnRequest });
+  } catch (error) {
+    console.error('Get return request error:', error);
+    res.status(500).json({ message: 'Server error while fetching return request' });
+  }
+});
+
+// @route   PATCH /api/returns/:id/approve
+// @desc    Approve a return request
+// @access  Private (Admin only)
+router.patch('/:id/approve', requireAdmin, [
+  param('id').isMongoId().withMessage('Invalid return request ID'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot be more than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const returnRequest = await approveReturn(req.params.id, { user: req.user, note: req.body.note });
+
+    res.json({
+      success: true,
+      message: 'Return request approved',
+      returnRequest
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error);
+    }
+    console.error('Approve return error:', error);
+    res.status(500).json({ message: 'Server error while approving return request' });
+  }
+});
+
+// @route   PATCH /api/returns/:id/reject
+// @desc    Reject a return request
+// @access  Private (Admin only)
+router.patch('/:id/reject', requireAdmin, [
+  param('id').isMongoId().withMessage('Invalid return request ID'),
+  body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('Rejection reason must be between 3 and 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const returnRequest = await rejectReturn(req.params.id, { user: req.user, reason: req.body.reason });
+
+    res.json({
+      success: true,
+      message: 'Return request rejected',
+      returnRequest
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error);
+    }
+    console.error('Reject return error:', error);
+    res.status(500).json({ message: 'Server error while rejecting return request' });
+  }
+});
+
+// @route   PATCH /api/returns/:id/inspect
+// @desc    Record the returned items as received; restocks them and marks the booking returned once all of it is back
+// @access  Private (Admin only)
+router.patch('/:id/inspect', requireAdmin, [
+  param('id').isMongoId().withMessage('Invalid return request ID'),
+  body('inspectionNotes').optional().trim().isLength({ max: 1000 }).withMessage('Inspection notes cannot be more than 1000 characters'),
+  body('restock').optional().isBoolean().withMessage('Restock must be true or false'),
+  body('refundAmount').optional().isFloat({ min: 0 }).withMessage('Refund amount must be a positive number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { returnRequest, booking } = await inspectReturn(req.params.id, {
+      user: req.user,
+      inspectionNotes: req.body.inspectionNotes,
+      restock: req.body.restock === undefined ? true : req.body.restock === true || req.body.restock === 'true',
+      refundAmount: req.body.refundAmount !== undefined ? parseFloat(req.body.refundAmount) : undefined
+    });
+
+    res.json({
+      success: true,
+      message: 'Return inspected successfully',
+      returnRequest,
+      booking
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error);
+    }
+    console.error('Inspect return error:', error);
+    res.status(500).json({ message: 'Server error while inspecting return' });
+  }
+});
+
+// @route   PATCH /api/returns/:id/refund
+// @desc    Record the refund of an inspected return; a fully returned booking is marked refunded
+// @access  Private (Admin only)
+router.patch('/:id/refund', requireAdmin, [
+  param('id').isMongoId().withMessage('Invalid return request ID'),
+  body('refundAmount').optional().isFloat({ min: 0 }).withMessage('Refund amount must be a positive number'),
+  body('refundReference').optional().trim().isLength({ max: 100 }).withMessage('Refund reference cannot be more than 100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { returnRequest, booking } = await refundReturn(req.params.id, {
+      user: req.user,
+      refundAmount: req.body.refundAmount !== undefined ? parseFloat(req.body.refundAmount) : undefined,
+      refundReference: req.body.refundReference
+    });
+
+    res.json({
+      success: true,
+      message: 'Refund recorded successfully',
+      returnRequest,
+      booking
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return sendHttpError(res, error);
+    }
+    console.error('Refund return error:', error);
+    res.status(500).json({ message: 'Server error while recording refund' });
+  }
+});
+
+export default router;
@@ -0,0 +1,114 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import Review, { REVIEW_STATUSES } from '../models/Review.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { moderateReview } from '../services/reviewService.js';
+import HttpError from '../utils/httpError.js';
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// @route   GET /api/reviews
+// @desc    List reviews (own reviews in any status, or all for admins, e.g.
+//          ?status=pending for the moderation queue)
+// @access  Private
+router.get('/', [
+  query('status').optional().isIn(REVIEW_STATUSES).withMessage('Invalid review status'),
+  query('productId').optional().isMongoId().withMessage('Invalid product ID'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page || 1);
+    const limit = parseInt(req.query.limit || 10);
+
+    const filter = {};
+    if (req.user.role !== 'admin') {
+      filter.userId = req.user._id;
+    }
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+    if (req.query.productId) {
+      filter.productId = req.query.productId;
+    }
+
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .populate('productId', 'name images')
+        .populate('userId', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Review.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      reviews,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalReviews: total,
+        hasNextPage: page * limit < total,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get reviews error:', error);
+    res.status(500).json({ message: 'Server error while fetching reviews' });
+  }
+});
+
+// Approve or hide a review
+const moderationHandler = (status, label) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const review = await moderateReview(req.params.id, status, { user: req.user, note: req.body.note });
+
+    res.json({
+      success: true,
+      message: `Review ${label}`,
+      review
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Moderate review error:', error);
+    res.status(500).json({ message: 'Server error while moderating review' });
+  }
+};
+
+const moderationValidators = [
+  param('id').isMongoId().withMessage('Invalid review ID'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot be more than 500 characters')
+];
+
+// @route   PATCH /api/reviews/:id/approve
+// @desc    Approve a review; it is shown on the product and counts towards its rating
+// @access  Private (Admin only)
+router.patch('/:id/approve', requireAdmin, moderationValidators, moderationHandler('approved', 'approved'));
+
+// @route   PATCH /api/reviews/:id/hide
+// @desc    Hide a review from the product and its rating
+// @access  Private (Admin only)
+router.patch('/:id/hide', requireAdmin, moderationValidators, moderationHandler('hidden', 'hidden'));
+
+export default router;
@@ -0,0 +1,218 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import StoreSettings from '../models/StoreSettings.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { parseTime } from '../utils/time.js';
+
+const router = express.Router();
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// @route   GET /api/settings/schedule
+// @desc    Get store opening hours, holidays and pickup slot settings
+// @access  Public
+router.get('/schedule', async (req, res) => {
+  try {
+    const settings = await StoreSettings.get();
+    res.json({ schedule: settings.schedule });
+  } catch (error) {
+    console.error('Get schedule error:', error);
+    res.status(500).json({ message: 'Server error while fetching schedule' });
+  }
+});
+
+// @route   PUT /api/settings/schedule
+// @desc    Update store opening hours, holidays and pickup slot settings
+// @access  Private (Admin only)
+router.put('/schedule', [
+  authenticateToken,
+  requireAdmin,
+  body('slotMinutes').optional().isInt({ min: 15, max: 240 }).withMessage('Slot length must be between 15 and 240 minutes'),
+  body('slotCapacity').optional().isInt({ min: 1 }).withMessage('Slot capacity must be a positive integer'),
+  body('maxAdvanceDays').optional().isInt({ min: 1, max: 365 }).withMessage('Advance booking window must be between 1 and 365 days'),
+  body('editCutoffHours').optional().isInt({ min: 0, max: 720 }).withMessage('Edit cutoff must be between 0 and 720 hours'),
+  body('openingHours').optional().isArray({ max: 7 }).withMessage('Opening hours must be an array of at most 7 days'),
+  body('openingHours.*.day').isInt({ min: 0, max: 6 }).withMessage('Day must be between 0 (Sunday) and 6 (Saturday)'),
+  body('openingHours.*.open').optional().matches(TIME_PATTERN).withMessage('Opening time must be HH:MM'),
+  body('openingHours.*.close').optional().matches(TIME_PATTERN).withMessage('Closing time must be HH:MM'),
+  body('openingHours.*.closed').optional().isBoolean().withMessage('Closed must be a boolean'),
+  body('holidays').optional().isArray().withMessage('Holidays must be an array'),
+  body('holidays.*.date').matches(DATE_PATTERN).withMessage('Holiday date must be YYYY-MM-DD'),
+  body('holidays.*.reason').optional().trim().isLength({ max: 100 }).withMessage('Holiday reason cannot be more than 100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const settings = await StoreSettings.get();
+    const { schedule } = settings;
+
+    ['slotMinutes', 'slotCapacity', 'maxAdvanceDays', 'editCutoffHours'].forEach((field) => {
+      if (req.body[field] !== undefined) schedule[field] = parseInt(req.body[field]);
+    });
+
+    if (req.body.openingHours) {
+      // Days not mentioned keep their current hours
+      for (const hours of req.body.openingHours) {
+        const day = parseInt(hours.day);
+        const current = schedule.openingHours.find((item) => item.day === day);
+        const next = {
+          day,
+          open: hours.open || (current && current.open) || '10:00',
+          close: hours.close || (current && current.close) || '20:00',
+          closed: hours.closed !== undefined ? hours.closed === true || hours.closed === 'true' : Boolean(current && current.closed)
+        };
+
+        if (!next.closed && parseTime(next.open) >= parseTime(next.close)) {
+          return res.status(400).json({ message: `Opening time must be before closing time (day ${day})` });
+        }
+
+        if (current) {
+          current.set(next);
+        } else {
+          schedule.openingHours.push(next);
+        }
+      }
+    }
+
+    if (req.body.holidays) {
+      schedule.holidays = req.body.holidays
+        .map(({ date, reason }) => ({ date, reason }))
+        .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    await settings.save();
+
+    res.json({
+      message: 'Schedule updated successfully',
+      schedule: settings.schedule
+    });
+  } catch (error) {
+    console.error('Update schedule error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error while updating schedule' });
+  }
+});
+
+// @route   GET /api/settings/returns
+// @desc    Get the return policy
+// @access  Public
+router.get('/returns', async (req, res) => {
+  try {
+    const settings = await StoreSettings.get();
+    res.json({ returnPolicy: settings.returnPolicy });
+  } catch (error) {
+    console.error('Get return policy error:', error);
+    res.status(500).json({ message: 'Server error while fetching return policy' });
+  }
+});
+
+// @route   PUT /api/settings/returns
+// @desc    Update the return policy
+// @access  Private (Admin only)
+router.put('/returns', [
+  authenticateToken,
+  requireAdmin,
+  body('windowDays').isInt({ min: 0, max: 365 }).withMessage('Return window must be between 0 and 365 days')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const settings = await StoreSettings.get();
+    settings.returnPolicy.windowDays = parseInt(req.body.windowDays);
+    await settings.save();
+
+    res.json({
+      message: 'Return policy updated successfully',
+      returnPolicy: settings.returnPolicy
+    });
+  } catch (error) {
+    console.error('Update return policy error:', error);
+    res.status(500).json({ message: 'Server error while updating return policy' });
+  }
+});
+
+// @route   GET /api/settings/cancellation
+// @desc    Get the cancellation policy
+// @access  Public
+router.get('/cancellation', async (req, res) => {
+  try {
+    const settings = await StoreSettings.get();
+    res.json({ cancellationPolicy: settings.cancellationPolicy });
+  } catch (error) {
+    console.error('Get cancellation policy error:', error);
+    res.status(500).json({ message: 'Server error while fetching cancellation policy' });
+  }
+});
+
+// @route   PUT /api/settings/cancellation
+// @desc    Update the cancellation policy (cutoffHours: null removes the cutoff)
+// @access  Private (Admin only)
+router.put('/cancellation', [
+  authenticateToken,
+  requireAdmin,
+  body('freeCancellationHours').optional().isInt({ min: 0, max: 720 }).withMessage('Free cancellation period must be between 0 and 720 hours'),
+  body('feeType').optional().isIn(['percentage', 'flat']).withMessage('Fee type must be percentage or flat'),
+  body('feeValue').optional().isFloat({ min: 0 }).withMessage('Fee must be a positive number'),
+  body('cutoffHours').optional({ nullable: true }).isInt({ min: 0, max: 720 }).withMessage('Cancellation cutoff must be between 0 and 720 hours')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const settings = await StoreSettings.get();
+    const { cancellationPolicy } = settings;
+
+    if (req.body.freeCancellationHours !== undefined) {
+      cancellationPolicy.freeCancellationHours = parseInt(req.body.freeCancellationHours);
+    }
+    if (req.body.feeType !== undefined) {
+      cancellationPolicy.feeType = req.body.feeType;
+    }
+    if (req.body.feeValue !== undefined) {
+      cancellationPolicy.feeValue = parseFloat(req.body.feeValue);
+    }
+    if (req.body.cutoffHours !== undefined) {
+      cancellationPolicy.cutoffHours = req.body.cutoffHours === null ? undefined : parseInt(req.body.cutoffHours);
+    }
+
+    if (cancellationPolicy.cutoffHours != null
+      && cancellationPolicy.cutoffHours > cancellationPolicy.freeCancellationHours) {
+      return res.status(400).json({ message: 'Cancellation cutoff cannot be before the end of free cancellation' });
+    }
+
+    await settings.save();
+
+    res.json({
+      message: 'Cancellation policy updated successfully',
+      cancellationPolicy: settings.cancellationPolicy
+    });
+  } catch (error) {
+    console.error('Update cancellation policy error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error while updating cancellation policy' });
+  }
+});
+
+export default router;
@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+import { recountProductLikes } from '../services/wishlistService.js';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Make every product's like count match its wishlist entries
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/globalitzone');
+    console.log('Connected to MongoDB');
+
+    const changed = await recountProductLikes();
+    console.log(`Like counts corrected on ${changed} product(s)`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error recounting product likes:', error);
+    process.exit(1);
+  }
+};
+
+run();
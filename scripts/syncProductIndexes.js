@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Bring the product indexes in line with the schema. A collection can only
+// have one text index, so the product search index replaces an older one
+// here instead of being built on startup.
+const syncProductIndexes = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/globalitzone');
+    console.log('Connected to MongoDB');
+
+    const dropped = await Product.syncIndexes();
+    console.log('Dropped indexes:', dropped.length ? dropped.join(', ') : 'none');
+    console.log('Product indexes are up to date');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error syncing product indexes:', error);
+    process.exit(1);
+  }
+};
+
+syncProductIndexes();
@@ -13,6 +13,14 @@ import authRoutes from './routes/auth.js';
 import productRoutes from './routes/products.js';
 import userRoutes from './routes/users.js';
 import bookingRoutes from './routes/bookings.js';
+import cartRoutes from './routes/cart.js';
+import settingsRoutes from './routes/settings.js';
+import returnRoutes from './routes/returns.js';
+import paymentRoutes from './routes/payments.js';
+import promoCodeRoutes from './routes/promoCodes.js';
+import reviewRoutes from './routes/reviews.js';
+import feedRoutes from './routes/feeds.js';
+import { startJobs, stopJobs } from './services/jobs/index.js';
 
 // Load environment variables
 dotenv.config();
@@ -50,6 +58,8 @@ app.use(
 app.use(compression());
 
 // Body parsing middleware
+// Payment webhooks are signed over the exact bytes sent, so keep them raw
+app.use('/api/payments/webhook', express.raw({ type: '*/*', limit: '1mb' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -61,6 +71,13 @@ app.use('/api/auth', authRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/bookings', bookingRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/promo-codes', promoCodeRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/feeds', feedRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -94,6 +111,9 @@ mongoose
   .then(() => {
     console.log('Connected to MongoDB');
 
+    // Background jobs (notification retries, booking expiry)
+    startJobs();
+
     // Start server
     app.listen(PORT, () => {
       console.log(`Server is running on port ${PORT}`);
@@ -108,6 +128,7 @@ mongoose
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('\nShutting down gracefully...');
+  stopJobs();
   await mongoose.connection.close();
   process.exit(0);
 });
@@ -0,0 +1,566 @@
+import mongoose from 'mongoose';
+import Booking from '../models/Booking.js';
+import Product from '../models/Product.js';
+import PickupSlot from '../models/PickupSlot.js';
+import StoreSettings from '../models/StoreSettings.js';
+import HttpError from '../utils/httpError.js';
+import { resolveStateCode } from '../utils/gstStates.js';
+import {
+  applyPromoDiscount,
+  computeBookingPricing,
+  computeOrderTotals,
+  findPriceMismatches
+} from '../utils/pricing.js';
+import { assignInvoiceNumber } from './invoiceService.js';
+import { notifyBookingEvent } from './notifications/index.js';
+import { markPaymentCancelled, requestRefund } from './payments/index.js';
+import { claimPromoCode, previewPromoCode, releasePromoCode } from './promoService.js';
+import { applyTax, computeOrderTax, getProductTax } from './taxService.js';
+import { resolvePickupSlot } from './scheduleService.js';
+
+// Human readable status names for error messages
+const STATUS_LABELS = {
+  pending: 'pending',
+  confirmed: 'confirmed',
+  ready_for_pickup: 'ready for pickup',
+  out_for_delivery: 'out for delivery',
+  completed: 'completed',
+  cancelled: 'cancelled',
+  returned: 'returned',
+  refunded: 'refunded'
+};
+
+// Prices of a variant in the shape computeBookingPricing() reads; the
+// product's discount applies to a variant with only an original price
+const variantPrices = (product, variant) => ({
+  price: variant.price,
+  originalPrice: variant.originalPrice,
+  discount: product.discount
+});
+
+// Check that a loaded product can be booked in the requested quantity.
+// Products sold in variants are booked by variant, which then gives the
+// price and stock.
+// Returns { pricing, variant } or { status, message } describing the failure.
+export const checkProductForBooking = (product, quantity, variantId) => {
+  if (!product || !product.isActive) {
+    return { status: 404, message: 'Product not found' };
+  }
+
+  if (product.availability !== 'Available') {
+    return { status: 400, message: `${product.name} is not available for booking` };
+  }
+
+  let variant;
+  if (product.hasVariants()) {
+    if (!variantId) {
+      return { status: 400, message: `Please choose a variant of ${product.name}` };
+    }
+
+    variant = mongoose.Types.ObjectId.isValid(variantId) ? product.findVariant(variantId) : undefined;
+    if (!variant) {
+      return { status: 404, message: `Variant of ${product.name} not found` };
+    }
+  } else if (variantId) {
+    return { status: 400, message: `${product.name} has no variants` };
+  }
+
+  const name = variant ? `${product.name} (${variant.name})` : product.name;
+  const stock = variant ? variant.stock : product.stock;
+
+  if (stock < quantity) {
+    return {
+      status: 400,
+      message: stock > 0
+        ? `Only ${stock} unit(s) of ${name} left in stock`
+        : `${name} is out of stock`
+    };
+  }
+
+  const pricing = computeBookingPricing(variant ? variantPrices(product, variant) : product, quantity);
+  if (!pricing) {
+    return {
+      status: 400,
+      message: `${name} has no price set. Please contact the store.`
+    };
+  }
+
+  return { pricing, variant };
+};
+
+
+// Load a product and check it can be booked in the requested quantity.
+// Returns { product, pricing, variant } or { status, message } describing the
+// failure.
+export const prepareBookingPricing = async (productId, quantity, variantId) => {
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    return { status: 400, message: 'Invalid product ID' };
+  }
+
+  const qty = Number(quantity);
+  if (!Number.isInteger(qty) || qty < 1) {
+    return { status: 400, message: 'Quantity must be a positive integer' };
+  }
+
+  const product = await Product.findById(productId);
+  const result = checkProductForBooking(product, qty, variantId);
+  if (result.status) {
+    return result;
+  }
+
+  return { product, pricing: result.pricing, variant: result.variant };
+};
+
+// Snapshot a product (and its chosen variant) and its computed pricing as a
+// booking line item
+export const buildLineItem = (product, pricing, variant) => ({
+  productId: product._id,
+  productName: product.name,
+  productImage: (variant && variant.images[0]) || product.images[0],
+  productCategory: product.category,
+  ...(variant && {
+    variantId: variant._id,
+    variantSku: variant.sku,
+    variantName: variant.name
+  }),
+  quantity: pricing.quantity,
+  strikePrice: pricing.strikePrice,
+  sellingPrice: pricing.sellingPrice,
+  actualPrice: pricing.actualPrice,
+  totalAmount: pricing.totalAmount,
+  discountPercentage: pricing.discountPercentage,
+  ...getProductTax(product)
+});
+
+// The state whose GST applies to a booking's customer
+const customerStateOf = (details) => details.customerState
+  || (details.deliveryAddress && details.deliveryAddress.state);
+
+// Order totals for line items as a booking would charge them: less the promo
+// code discount (checked, but not used up) and with GST for the customer's
+// state. For quotes and for checking totals the client confirmed.
+export const quoteOrder = async (items, { user, promoCode, customerState }) => {
+  let totals = computeOrderTotals(items);
+
+  if (promoCode) {
+    const promo = await previewPromoCode(promoCode, { user, items });
+    totals = applyPromoDiscount(totals, promo.promo.code, promo.discount);
+  }
+
+  return applyTax(totals, computeOrderTax(items, { promoDiscount: totals.promoDiscount, customerState }));
+};
+
+// Work out the customer fields of a new booking from the request body.
+// With `addressId` the address is taken from the user's address book and
+// snapshotted on the booking; name and phone default to the user's profile.
+// Returns { details } or { status, message } describing the problem.
+export const resolveCustomerDetails = (user, body) => {
+  const details = {
+    customerName: body.customerName || user.name,
+    customerPhone: body.customerPhone || user.phone,
+    customerAddress: body.customerAddress,
+    customerState: body.customerState
+  };
+
+  if (body.addressId) {
+    const address = mongoose.Types.ObjectId.isValid(body.addressId)
+      ? user.addresses.id(body.addressId)
+      : null;
+
+    if (!address) {
+      return { status: 404, message: 'Saved address not found' };
+    }
+
+    // The place of supply would otherwise fall back to the store's state
+    if (!resolveStateCode(address.state)) {
+      return { status: 400, message: 'The state of the saved address is not recognised; please correct it' };
+    }
+
+    details.customerAddress = address.format();
+    details.customerState = address.state;
+    details.deliveryAddress = {
+      addressId: address._id,
+      label: address.label,
+      line1: address.line1,
+      line2: address.line2,
+      landmark: address.landmark,
+      city: address.city,
+      state: address.state,
+      pinCode: address.pinCode
+    };
+  }
+
+  if (!details.customerName || !details.customerPhone || !details.customerAddress) {
+    return { status: 400, message: 'Please provide customer name, phone and address (or a saved addressId)' };
+  }
+
+  return { details };
+};
+
+// Reserve stock for every line item and a place in the pickup slot, and
+// create the booking, all in one transaction: a failed insert never leaves
+// stock or slot capacity taken, and a booking never exists without them.
+// `details` holds the customer fields; `pickup` is the { slot, capacity }
+// from resolvePickupSlot. `afterCreate(booking, session)` runs inside the
+// same transaction (e.g. to clear the cart the booking was made from).
+// `promoCode`, if given, is validated and its use counted in the transaction.
+export const createBooking = async ({ user, items, details, pickup, promoCode }, { afterCreate } = {}) => {
+  const itemTotals = computeOrderTotals(items);
+  const [primary] = items;
+  // Online bookings wait in 'pending' until the payment comes through
+  const online = details.paymentMethod === 'online';
+  const session = await mongoose.startSession();
+
+  try {
+    let booking;
+
+    await session.withTransaction(async () => {
+      for (const item of items) {
+        const reserved = await Product.reserveStock(item.productId, item.quantity, session, item.variantId);
+
+        if (!reserved) {
+          const name = item.variantName ? `${item.productName} (${item.variantName})` : item.productName;
+          throw new HttpError(
+            409,
+            `Sorry, ${name} was just booked by someone else and is no longer available in the requested quantity`
+          );
+        }
+      }
+
+      const slotTaken = await PickupSlot.reserve(pickup.slot.start, pickup.capacity, session);
+      if (!slotTaken) {
+        throw new HttpError(409, 'Sorry, this pickup slot has just been fully booked. Please choose another slot.');
+      }
+
+      // The promo code is checked again and its use counted with the booking
+      let totals = itemTotals;
+      let promo;
+      if (promoCode) {
+        promo = await claimPromoCode(promoCode, { user, items, session });
+        totals = applyPromoDiscount(itemTotals, promo.promo.code, promo.discount);
+      }
+
+      const tax = computeOrderTax(items, {
+        promoDiscount: promo ? promo.discount : 0,
+        customerState: customerStateOf(details)
+      });
+      totals = applyTax(totals, tax);
+
+      [booking] = await Booking.create([{
+        ...details,
+        bookingDate: pickup.slot.start,
+        pickupSlot: pickup.slot.start,
+        productId: primary.productId,
+        productName: primary.productName,
+        productImage: primary.productImage,
+        productCategory: primary.productCategory,
+        items: items.map((item, index) => ({ ...item, ...tax.lines[index] })),
+        userId: user._id,
+        quantity: totals.quantity,
+        actualPrice: totals.actualPrice,
+        strikePrice: primary.strikePrice,
+        sellingPrice: primary.sellingPrice,
+        totalAmount: totals.totalAmount,
+        discountPercentage: totals.discountPercentage,
+        promoCode: promo && promo.promo.code,
+        promoCodeId: promo && promo.promo._id,
+        promoDiscount: promo ? promo.discount : 0,
+        tax: totals.tax,
+        status: online ? 'pending' : 'confirmed',
+        paymentStatus: online ? 'pending' : 'none',
+        stockStatus: 'reserved'
+      }], { session });
+
+      if (afterCreate) {
+        await afterCreate(booking, session);
+      }
+    });
+
+    // Online bookings are announced once paid
+    if (!online) {
+      notifyBookingEvent('booking_created', booking);
+    }
+    return booking;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Status changes the customer is notified about
+const NOTIFIED_STATUSES = ['cancelled', 'completed'];
+
+// Adjust product stock for a booking that is about to change status.
+// Cancelling gives reserved units and the pickup slot back; completing marks
+// the units as sold.
+const applyReservationEffects = async (booking, newStatus, session) => {
+  if (newStatus === 'cancelled' && booking.pickupSlot) {
+    await PickupSlot.release(booking.pickupSlot, session);
+  }
+
+  if (booking.stockStatus !== 'reserved') return;
+
+  if (newStatus === 'cancelled') {
+    for (const item of booking.lineItems) {
+      await Product.releaseStock(item.productId, item.quantity, session, item.variantId);
+    }
+    booking.stockStatus = 'released';
+  } else if (newStatus === 'completed') {
+    booking.stockStatus = 'consumed';
+  }
+};
+
+// Move a booking to a new status inside a transaction.
+// The booking is re-read within the transaction so concurrent changes cannot
+// both apply (e.g. two cancellations restocking twice). `authorize` is called
+// with the booking before anything changes and may throw an HttpError.
+// `beforeSave(booking, session)` runs in the same transaction before the new
+// status is applied, for changes to the booking or other documents that must
+// commit with it (e.g. a cancellation fee, which is kept out of the refund).
+// Throws HttpError for missing bookings and disallowed transitions.
+export const changeBookingStatus = async (bookingId, newStatus, { user, reason, authorize, beforeSave } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+    throw new HttpError(400, 'Invalid booking ID');
+  }
+
+  const session = await mongoose.startSession();
+
+  try {
+    let booking;
+
+    await session.withTransaction(async () => {
+      booking = await Booking.findById(bookingId).session(session);
+
+      if (!booking) {
+        throw new HttpError(404, 'Booking not found');
+      }
+
+      if (authorize) {
+        authorize(booking);
+      }
+
+      if (booking.status === newStatus) {
+        throw new HttpError(400, `Booking is already ${STATUS_LABELS[newStatus]}`);
+      }
+
+      if (!booking.canTransitionTo(newStatus)) {
+        throw new HttpError(
+          400,
+          `Cannot change a ${STATUS_LABELS[booking.status]} booking to ${STATUS_LABELS[newStatus]}`,
+          { allowed: booking.constructor.allowedTransitions(booking.status) }
+        );
+      }
+
+      await applyReservationEffects(booking, newStatus, session);
+
+      if (newStatus === 'completed') {
+        await assignInvoiceNumber(booking, session);
+      }
+
+      if (beforeSave) {
+        await beforeSave(booking, session);
+      }
+
+      if (newStatus === 'cancelled') {
+        booking.cancellationReason = reason;
+        markPaymentCancelled(booking, booking.cancellation ? booking.cancellation.refundableAmount : undefined);
+        await releasePromoCode(booking, session);
+      }
+
+      await booking.updateStatus(newStatus, { changedBy: user && user._id, reason });
+    });
+
+    if (NOTIFIED_STATUSES.includes(newStatus)) {
+      notifyBookingEvent(`booking_${newStatus}`, booking);
+    }
+
+    // Refund an online payment once the cancellation has committed
+    if (booking.paymentStatus === 'refund_pending') {
+      booking = (await requestRefund(booking._id)) || booking;
+    }
+    return booking;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Fields of a booking its owner may change
+export const EDITABLE_FIELDS = ['bookingDate', 'customerAddress', 'customerState', 'customerPhone', 'notes', 'quantity'];
+
+// Statuses in which a booking may still be edited
+const EDITABLE_STATUSES = ['pending', 'confirmed'];
+
+// Edit a booking that has not been fulfilled yet.
+// Rescheduling moves the booking to a new pickup slot and changing the
+// quantity re-reserves stock and re-prices the booking at the current product
+// price; both happen in one transaction with the booking update. Customers
+// may only edit their own bookings and not later than the configured cutoff
+// before the booking date; admins may edit any booking at any time.
+// `expected` holds pricing fields the client confirmed against.
+export const updateBooking = async (bookingId, changes, { user, expected = {} }) => {
+  if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+    throw new HttpError(400, 'Invalid booking ID');
+  }
+
+  const isAdmin = user.role === 'admin';
+  const { schedule } = await StoreSettings.get();
+
+  let pickup;
+  if (changes.bookingDate !== undefined) {
+    pickup = await resolvePickupSlot(changes.bookingDate);
+    if (pickup.status) {
+      throw new HttpError(pickup.status, pickup.message);
+    }
+  }
+
+  const session = await mongoose.startSession();
+
+  try {
+    let booking;
+
+    await session.withTransaction(async () => {
+      booking = await Booking.findById(bookingId).session(session);
+
+      if (!booking) {
+        throw new HttpError(404, 'Booking not found');
+      }
+
+      if (!isAdmin && booking.userId.toString() !== user._id.toString()) {
+        throw new HttpError(403, 'Not authorized to edit this booking');
+      }
+
+      if (!EDITABLE_STATUSES.includes(booking.status)) {
+        throw new HttpError(400, `A ${STATUS_LABELS[booking.status]} booking can no longer be edited`);
+      }
+
+      const cutoff = new Date(booking.bookingDate.getTime() - schedule.editCutoffHours * 60 * 60 * 1000);
+      if (!isAdmin && new Date() > cutoff) {
+        throw new HttpError(
+          400,
+          `Bookings can only be changed up to ${schedule.editCutoffHours} hour(s) before the booking date`
+        );
+      }
+
+      // Move to the new pickup slot
+      if (pickup && (!booking.pickupSlot || booking.pickupSlot.getTime() !== pickup.slot.start.getTime())) {
+        const slotTaken = await PickupSlot.reserve(pickup.slot.start, pickup.capacity, session);
+        if (!slotTaken) {
+          throw new HttpError(409, 'Sorry, this pickup slot is fully booked. Please choose another slot.');
+        }
+        if (booking.pickupSlot) {
+          await PickupSlot.release(booking.pickupSlot, session);
+        }
+        booking.bookingDate = pickup.slot.start;
+        booking.pickupSlot = pickup.slot.start;
+      }
+
+      if (changes.quantity !== undefined && changes.quantity !== booking.quantity) {
+        await changeQuantity(booking, changes.quantity, session);
+
+        const mismatches = findPriceMismatches(expected, booking);
+        if (mismatches.length > 0) {
+          throw new HttpError(
+            409,
+            'Price has changed or does not match. Please review the updated price and try again.',
+            { mismatches }
+          );
+        }
+      }
+
+      ['customerAddress', 'customerState', 'customerPhone', 'notes'].forEach((field) => {
+        if (changes[field] !== undefined) booking[field] = changes[field];
+      });
+
+      // A new state may change the GST split (CGST + SGST or IGST)
+      if (changes.customerState !== undefined && booking.tax) {
+        applyTaxSplit(booking);
+      }
+
+      // A typed-in address replaces the saved address snapshot
+      if (changes.deliveryAddress !== undefined) {
+        booking.deliveryAddress = changes.deliveryAddress;
+      } else if (changes.customerAddress !== undefined) {
+        booking.deliveryAddress = undefined;
+      }
+
+      await booking.save();
+    });
+
+    return booking;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Recompute the GST of a booking for its current customer state, keeping
+// the amounts charged
+const applyTaxSplit = (booking) => {
+  const tax = computeOrderTax(booking.items, {
+    promoDiscount: booking.promoDiscount,
+    customerState: customerStateOf(booking),
+    pricesIncludeTax: booking.tax.pricesIncludeTax
+  });
+
+  booking.items.forEach((item, index) => item.set(tax.lines[index]));
+  booking.tax = tax.summary;
+};
+
+// Change the quantity of a single-product booking: reserve or release the
+// difference in stock and re-price at the current product price
+const changeQuantity = async (booking, quantity, session) => {
+  if (booking.lineItems.length > 1) {
+    throw new HttpError(400, 'Quantities of multi-item bookings cannot be changed');
+  }
+
+  if (booking.stockStatus !== 'reserved') {
+    throw new HttpError(400, 'The quantity of this booking cannot be changed');
+  }
+
+  if (booking.promoCodeId) {
+    throw new HttpError(400, 'The quantity of a booking with a promo code cannot be changed');
+  }
+
+  if (booking.paymentMethod === 'online') {
+    throw new HttpError(400, 'The quantity of a booking paid online cannot be changed');
+  }
+
+  const [line] = booking.lineItems;
+  const product = await Product.findById(booking.productId).session(session);
+  const variant = product && line.variantId ? product.findVariant(line.variantId) : undefined;
+  if (!product || !product.isActive || (line.variantId && !variant)) {
+    throw new HttpError(400, 'This product is no longer available');
+  }
+
+  const pricing = computeBookingPricing(variant ? variantPrices(product, variant) : product, quantity);
+  if (!pricing) {
+    throw new HttpError(400, `${product.name} has no price set. Please contact the store.`);
+  }
+
+  const difference = quantity - booking.quantity;
+  if (difference > 0) {
+    const reserved = await Product.reserveStock(product._id, difference, session, line.variantId);
+    if (!reserved) {
+      throw new HttpError(409, `Not enough stock of ${product.name} to increase the quantity`);
+    }
+  } else {
+    await Product.releaseStock(product._id, -difference, session, line.variantId);
+  }
+
+  const item = buildLineItem(product, pricing, variant);
+  // On the booking's own tax basis, which may predate a change of the
+  // store's pricesIncludeTax setting
+  const tax = computeOrderTax([item], {
+    promoDiscount: booking.promoDiscount,
+    customerState: customerStateOf(booking),
+    pricesIncludeTax: booking.tax ? booking.tax.pricesIncludeTax : undefined
+  });
+  const totals = applyTax(computeOrderTotals([item]), tax);
+
+  booking.items = [{ ...item, ...tax.lines[0] }];
+  booking.quantity = item.quantity;
+  booking.actualPrice = item.actualPrice;
+  booking.strikePrice = item.strikePrice;
+  booking.sellingPrice = item.sellingPrice;
+  booking.totalAmount = totals.totalAmount;
+  booking.discountPercentage = item.discountPercentage;
+  booking.tax = totals.tax;
+};
@@ -0,0 +1,122 @@
+import mongoose from 'mongoose';
+import Booking from '../models/Booking.js';
+import StoreSettings from '../models/StoreSettings.js';
+import HttpError from '../utils/httpError.js';
+import { roundMoney } from '../utils/pricing.js';
+import { changeBookingStatus } from './bookingService.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Work out what cancelling a booking at `now` costs under the cancellation
+// policy. Cancelling is free until `freeCancellationHours` before the booking
+// date and charged the policy's fee after that; customers cannot cancel past
+// the cutoff, admins always can and may waive the fee. The refundable amount
+// is what an online payment gives back; bookings paid at the store have
+// nothing to refund.
+// Returns { allowed, message, fee, refundableAmount, amountPaid,
+// freeCancellationUntil, cutoffAt, hoursBeforeBooking }.
+export const computeCancellationCharge = (booking, policy, { now = new Date(), isAdmin = false, waiveFee = false } = {}) => {
+  const bookingTime = booking.bookingDate.getTime();
+  const freeCancellationUntil = new Date(bookingTime - policy.freeCancellationHours * HOUR_MS);
+  const cutoffAt = policy.cutoffHours != null ? new Date(bookingTime - policy.cutoffHours * HOUR_MS) : null;
+  const amountPaid = booking.paymentStatus === 'paid' && booking.payment ? booking.payment.amount : 0;
+
+  let allowed = true;
+  let message;
+
+  if (booking.status === 'cancelled') {
+    allowed = false;
+    message = 'Booking is already cancelled';
+  } else if (!booking.canTransitionTo('cancelled')) {
+    allowed = false;
+    message = 'This booking can no longer be cancelled';
+  } else if (!isAdmin && cutoffAt && now > cutoffAt) {
+    allowed = false;
+    message = `Bookings can only be cancelled up to ${policy.cutoffHours} hour(s) before the booking date`;
+  }
+
+  let fee = 0;
+  if (!waiveFee && now > freeCancellationUntil) {
+    fee = policy.feeType === 'percentage'
+      ? booking.totalAmount * (policy.feeValue / 100)
+      : policy.feeValue;
+    fee = roundMoney(Math.min(fee, booking.totalAmount));
+  }
+
+  return {
+    allowed,
+    message,
+    fee,
+    refundableAmount: roundMoney(Math.max(amountPaid - fee, 0)),
+    amountPaid,
+    freeCancellationUntil,
+    cutoffAt,
+    hoursBeforeBooking: roundMoney((bookingTime - now.getTime()) / HOUR_MS)
+  };
+};
+
+// Load a booking the user may cancel
+const findBookingFor = async (bookingId, user) => {
+  const booking = mongoose.Types.ObjectId.isValid(bookingId) ? await Booking.findById(bookingId) : null;
+
+  if (!booking) {
+    throw new HttpError(404, 'Booking not found');
+  }
+
+  if (user.role !== 'admin' && booking.userId.toString() !== user._id.toString()) {
+    throw new HttpError(403, 'Not authorized to cancel this booking');
+  }
+
+  return booking;
+};
+
+// What cancelling a booking now would cost the user, without cancelling it
+export const previewCancellation = async (bookingId, { user }) => {
+  const booking = await findBookingFor(bookingId, user);
+  const { cancellationPolicy } = await StoreSettings.get();
+
+  return {
+    booking,
+    policy: cancellationPolicy,
+    ...computeCancellationCharge(booking, cancellationPolicy, { isAdmin: user.role === 'admin' })
+  };
+};
+
+// Cancel a booking for its owner or an admin under the cancellation policy.
+// The fee is worked out again on the booking as read in the cancelling
+// transaction, stored on it and kept out of the refund of an online payment.
+// Without a `user` the store itself cancels (e.g. the expiry job): past the
+// cutoff like an admin, but the fee is never waived.
+export const cancelBooking = async (bookingId, { user, reason, waiveFee = false }) => {
+  const isAdmin = !user || user.role === 'admin';
+  const { cancellationPolicy } = await StoreSettings.get();
+
+  return changeBookingStatus(bookingId, 'cancelled', {
+    user,
+    reason,
+    authorize: (booking) => {
+      if (!isAdmin && booking.userId.toString() !== user._id.toString()) {
+        throw new HttpError(403, 'Not authorized to cancel this booking');
+      }
+    },
+    beforeSave: async (booking) => {
+      const feeWaived = Boolean(user) && isAdmin && waiveFee;
+      const charge = computeCancellationCharge(booking, cancellationPolicy, { isAdmin, waiveFee: feeWaived });
+
+      // The status change itself was checked before; this is the cutoff
+      if (!charge.allowed) {
+        throw new HttpError(400, charge.message);
+      }
+
+      booking.cancellation = {
+        fee: charge.fee,
+        refundableAmount: charge.refundableAmount,
+        feeType: cancellationPolicy.feeType,
+        feeValue: cancellationPolicy.feeValue,
+        freeCancellationHours: cancellationPolicy.freeCancellationHours,
+        hoursBeforeBooking: charge.hoursBeforeBooking,
+        feeWaived
+      };
+    }
+  });
+};
@@ -0,0 +1,51 @@
+import Product from '../models/Product.js';
+import { buildLineItem, checkProductForBooking } from './bookingService.js';
+import { applyTax, computeOrderTax } from './taxService.js';
+import { computeOrderTotals } from '../utils/pricing.js';
+
+// Maximum number of distinct products in a cart
+export const MAX_CART_ITEMS = 20;
+
+// Price a cart against the current Product documents.
+// Each entry carries either its line pricing or the issue preventing checkout
+// (product removed, unavailable, out of stock or unpriced). Totals only
+// include entries without issues; their GST assumes a sale at the store.
+export const getCartSummary = async (cart) => {
+  const productIds = cart.items.map((item) => item.productId);
+  const products = await Product.find({ _id: { $in: productIds } });
+  const productsById = new Map(products.map((product) => [product._id.toString(), product]));
+
+  const items = cart.items.map((item) => {
+    const product = productsById.get(item.productId.toString());
+    const result = checkProductForBooking(product, item.quantity, item.variantId);
+    const variant = product && item.variantId ? product.findVariant(item.variantId) : undefined;
+
+    return {
+      productId: item.productId,
+      variantId: item.variantId,
+      quantity: item.quantity,
+      addedAt: item.addedAt,
+      product: product && {
+        name: product.name,
+        image: (variant && variant.images[0]) || product.images[0],
+        category: product.category,
+        availability: product.availability,
+        stock: variant ? variant.stock : product.stock,
+        price: variant ? variant.price : product.price,
+        originalPrice: variant ? variant.originalPrice : product.originalPrice,
+        ...(variant && { variantSku: variant.sku, variantName: variant.name })
+      },
+      lineItem: result.status ? null : buildLineItem(product, result.pricing, result.variant),
+      issue: result.status ? result.message : null
+    };
+  });
+
+  const lineItems = items.filter((item) => item.lineItem).map((item) => item.lineItem);
+
+  return {
+    items,
+    lineItems,
+    totals: applyTax(computeOrderTotals(lineItems), computeOrderTax(lineItems)),
+    hasIssues: items.some((item) => item.issue)
+  };
+};
@@ -0,0 +1,217 @@
+import ExcelJS from 'exceljs';
+import Product from '../models/Product.js';
+import store from '../config/store.js';
+
+// Longest a generated feed is served before it is built again, for product
+// changes made by other server processes
+const FEED_MAX_AGE_MS = 60 * 60 * 1000;
+
+// Google Merchant Center limits
+const MAX_TITLE_LENGTH = 150;
+const MAX_DESCRIPTION_LENGTH = 5000;
+const MAX_ADDITIONAL_IMAGES = 10;
+
+const CURRENCY = 'INR';
+
+// Generated feeds by name, as { body, generatedAt }
+const cache = new Map();
+
+// Bumped on every product change, so a feed generated while products changed
+// is not cached
+let catalogVersion = 0;
+
+// Any product change makes every feed stale; they are rebuilt on next request
+Product.onCatalogChange(() => {
+  catalogVersion += 1;
+  cache.clear();
+});
+
+// URL of a product page on the storefront
+export const productUrl = (productId) => `${store.websiteUrl}/products/${productId}`;
+
+// URL of a category listing on the storefront
+export const categoryUrl = (category) => `${store.websiteUrl}/products?category=${encodeURIComponent(category)}`;
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const formatPrice = (amount) => `${amount.toFixed(2)} ${CURRENCY}`;
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+// Merchant condition of a product: new, refurbished or used
+export const feedCondition = (product) => {
+  if (product.type === 'Refurbished') return 'refurbished';
+  if (product.condition === 'New') return 'new';
+  if (product.type === 'New/Refurbished') return 'refurbished';
+  return 'used';
+};
+
+// Feed items of the active products: one per product, or one per active
+// variant of products sold in variants (grouped by `itemGroupId`). Products
+// without a price or images are left out, as merchants reject them.
+const buildFeedItems = async () => {
+  const products = await Product.find({ isActive: true })
+    .select('sku name description category condition type availability price originalPrice stock images specifications variants')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const items = [];
+  products.forEach((product) => {
+    const activeVariants = (product.variants || []).filter((variant) => variant.isActive);
+    const offers = activeVariants.length > 0
+      ? activeVariants.map((variant) => ({
+        id: variant.sku,
+        title: `${product.name} (${Object.values(variant.attributes || {}).join(' / ') || variant.sku})`,
+        link: `${productUrl(product._id)}?variant=${variant._id}`,
+        images: variant.images && variant.images.length > 0 ? variant.images : product.images,
+        price: variant.price,
+        originalPrice: variant.originalPrice,
+        stock: variant.stock,
+        itemGroupId: product.sku || String(product._id)
+      }))
+      : [{
+        id: product.sku || String(product._id),
+        title: product.name,
+        link: productUrl(product._id),
+        images: product.images,
+        price: product.price,
+        originalPrice: product.originalPrice,
+        stock: product.stock
+      }];
+
+    offers.forEach((offer) => {
+      if (offer.price == null || !offer.images || offer.images.length === 0) return;
+
+      const onSale = offer.originalPrice != null && offer.originalPrice > offer.price;
+      items.push({
+        id: offer.id,
+        itemGroupId: offer.itemGroupId,
+        title: truncate(offer.title, MAX_TITLE_LENGTH),
+        description: truncate(product.description, MAX_DESCRIPTION_LENGTH),
+        link: offer.link,
+        imageLink: offer.images[0],
+        additionalImageLinks: offer.images.slice(1, MAX_ADDITIONAL_IMAGES + 1),
+        price: onSale ? offer.originalPrice : offer.price,
+        salePrice: onSale ? offer.price : undefined,
+        condition: feedCondition(product),
+        availability: product.availability === 'Available' && offer.stock > 0 ? 'in_stock' : 'out_of_stock',
+        brand: product.specifications && product.specifications.brand,
+        productType: product.category
+      });
+    });
+  });
+
+  return items;
+};
+
+// Google Merchant Center RSS 2.0 feed
+const renderGoogleFeed = (items) => {
+  const tag = (name, value) => (value == null || value === '' ? '' : `      <${name}>${escapeXml(value)}</${name}>\n`);
+
+  const entries = items.map((item) => [
+    '    <item>\n',
+    tag('g:id', item.id),
+    tag('g:item_group_id', item.itemGroupId),
+    tag('title', item.title),
+    tag('description', item.description),
+    tag('link', item.link),
+    tag('g:image_link', item.imageLink),
+    ...item.additionalImageLinks.map((link) => tag('g:additional_image_link', link)),
+    tag('g:price', formatPrice(item.price)),
+    tag('g:sale_price', item.salePrice != null ? formatPrice(item.salePrice) : null),
+    tag('g:condition', item.condition),
+    tag('g:availability', item.availability),
+    tag('g:brand', item.brand),
+    // Used and refurbished stock has no GTIN/MPN
+    tag('g:identifier_exists', 'no'),
+    tag('g:product_type', item.productType),
+    '    </item>\n'
+  ].join(''));
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n'
+    + '<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">\n'
+    + '  <channel>\n'
+    + `    <title>${escapeXml(store.name)}</title>\n`
+    + `    <link>${escapeXml(store.websiteUrl)}</link>\n`
+    + `    <description>${escapeXml(`${store.name} products`)}</description>\n`
+    + entries.join('')
+    + '  </channel>\n'
+    + '</rss>\n';
+};
+
+// Generic CSV feed, one item per line with the Merchant Center field names
+const renderCsvFeed = async (items) => {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('Feed');
+  worksheet.addRow([
+    'id', 'item_group_id', 'title', 'description', 'link', 'image_link', 'additional_image_link',
+    'price', 'sale_price', 'condition', 'availability', 'brand', 'product_type'
+  ]);
+
+  items.forEach((item) => {
+    worksheet.addRow([
+      item.id,
+      item.itemGroupId,
+      item.title,
+      item.description,
+      item.link,
+      item.imageLink,
+      item.additionalImageLinks.join(','),
+      formatPrice(item.price),
+      item.salePrice != null ? formatPrice(item.salePrice) : null,
+      item.condition,
+      item.availability,
+      item.brand,
+      item.productType
+    ]);
+  });
+
+  return (await workbook.csv.writeBuffer()).toString();
+};
+
+// sitemap.xml of the storefront: the catalog, each category with active
+// products and each active product. There is no lastmod: view counts bump a
+// product's updatedAt, so it would not tell crawlers anything.
+const renderSitemap = async () => {
+  const [products, categories] = await Promise.all([
+    Product.find({ isActive: true }).select('_id').sort({ createdAt: 1 }).lean(),
+    Product.distinct('category', { isActive: true })
+  ]);
+
+  const url = (loc) => `  <url>\n    <loc>${escapeXml(loc)}</loc>\n  </url>\n`;
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n'
+    + '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n'
+    + url(`${store.websiteUrl}/products`)
+    + categories.sort().map((category) => url(categoryUrl(category))).join('')
+    + products.map((product) => url(productUrl(product._id))).join('')
+    + '</urlset>\n';
+};
+
+const generators = {
+  google: async () => renderGoogleFeed(await buildFeedItems()),
+  csv: async () => renderCsvFeed(await buildFeedItems()),
+  sitemap: renderSitemap
+};
+
+// A feed ('google', 'csv' or 'sitemap'), from the cache while no product has
+// changed since it was generated.
+// Returns { body, generatedAt }.
+export const getFeed = async (name) => {
+  const cached = cache.get(name);
+  if (cached && Date.now() - cached.generatedAt.getTime() < FEED_MAX_AGE_MS) {
+    return cached;
+  }
+
+  const version = catalogVersion;
+  const feed = { body: await generators[name](), generatedAt: new Date() };
+  if (version === catalogVersion) {
+    cache.set(name, feed);
+  }
+  return feed;
+};
@@ -0,0 +1,232 @@
+import mongoose from 'mongoose';
+import PDFDocument from 'pdfkit';
+import Booking from '../models/Booking.js';
+import Counter from '../models/Counter.js';
+import store from '../config/store.js';
+import { roundMoney } from '../utils/pricing.js';
+import { amountToWords } from '../utils/numberToWords.js';
+import { getZonedParts } from '../utils/time.js';
+import { computeOrderTax, getProductTax } from './taxService.js';
+
+// Statuses for which an invoice exists (the sale happened)
+export const INVOICEABLE_STATUSES = ['completed', 'returned', 'refunded'];
+
+// Indian financial year (April to March) of a date in the store's time
+// zone, e.g. '2026-27'
+export const getFinancialYear = (date = new Date()) => {
+  const [calendarYear, month] = getZonedParts(date, store.timezone).date.split('-').map(Number);
+  const year = month >= 4 ? calendarYear : calendarYear - 1;
+  return `${year}-${String((year + 1) % 100).padStart(2, '0')}`;
+};
+
+// Give a booking the next invoice number of the current financial year.
+// Must run inside the transaction that saves the booking: the counter
+// increment is rolled back with it, which keeps the sequence gap-free.
+export const assignInvoiceNumber = async (booking, session) => {
+  if (booking.invoiceNumber) return;
+
+  const invoiceDate = new Date();
+  const financialYear = getFinancialYear(invoiceDate);
+  const seq = await Counter.next(`invoice-${financialYear}`, session);
+
+  booking.invoiceNumber = `${store.invoicePrefix}/${financialYear}/${String(seq).padStart(5, '0')}`;
+  booking.invoiceDate = invoiceDate;
+};
+
+// Assign an invoice number to a completed booking that does not have one yet
+// (bookings completed before invoicing existed). Returns the updated booking.
+export const ensureInvoiceNumber = async (bookingId) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let booking;
+
+    await session.withTransaction(async () => {
+      booking = await Booking.findById(bookingId).session(session);
+      if (!booking.invoiceNumber) {
+        await assignInvoiceNumber(booking, session);
+        await booking.save();
+      }
+    });
+
+    return booking;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Tax rows per GST rate: CGST and SGST at half the rate each, or IGST
+const buildTaxRows = (lines, supplyType) => {
+  const byRate = new Map();
+
+  lines.forEach((line) => {
+    const row = byRate.get(line.gstRate) || { cgst: 0, sgst: 0, igst: 0 };
+    row.cgst += line.cgst || 0;
+    row.sgst += line.sgst || 0;
+    row.igst += line.igst || 0;
+    byRate.set(line.gstRate, row);
+  });
+
+  return [...byRate.entries()]
+    .sort(([a], [b]) => a - b)
+    .flatMap(([rate, row]) => (supplyType === 'inter_state'
+      ? [{ label: `IGST @ ${rate}%`, amount: roundMoney(row.igst) }]
+      : [
+        { label: `CGST @ ${rate / 2}%`, amount: roundMoney(row.cgst) },
+        { label: `SGST @ ${rate / 2}%`, amount: roundMoney(row.sgst) }
+      ]));
+};
+
+// Invoice totals from the GST computed when the booking was made. Bookings
+// made before GST was recorded are treated as tax-inclusive at the default
+// rate and sold within the state.
+export const computeInvoiceTotals = (booking) => {
+  const total = booking.totalAmount;
+  const promoDiscount = booking.promoDiscount || 0;
+  const { lines, summary: tax } = booking.tax
+    ? { lines: booking.lineItems, summary: booking.tax }
+    : computeOrderTax(booking.lineItems, { promoDiscount, pricesIncludeTax: true });
+  const netOfTax = tax.pricesIncludeTax ? total : roundMoney(total - tax.totalTax);
+
+  return {
+    grossAmount: booking.actualPrice,
+    discount: roundMoney(booking.actualPrice - netOfTax - promoDiscount),
+    promoDiscount,
+    pricesIncludeTax: tax.pricesIncludeTax,
+    supplyType: tax.supplyType,
+    placeOfSupply: tax.placeOfSupply,
+    placeOfSupplyName: tax.placeOfSupplyName,
+    taxableValue: tax.taxableValue,
+    taxRows: buildTaxRows(lines, tax.supplyType),
+    cgst: tax.cgst,
+    sgst: tax.sgst,
+    igst: tax.igst,
+    totalTax: tax.totalTax,
+    total,
+    totalInWords: amountToWords(total)
+  };
+};
+
+// Format a money value for the PDF (the built-in fonts have no rupee glyph)
+const formatMoney = (value) => `Rs. ${Number(value || 0).toLocaleString('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric'
+});
+
+// Render a GST tax invoice for a booking as a PDF into a writable stream
+export const renderInvoicePdf = (booking, stream) => {
+  const totals = computeInvoiceTotals(booking);
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  doc.pipe(stream);
+
+  const left = 50;
+  const right = doc.page.width - 50;
+
+  // Store details
+  doc.font('Helvetica-Bold').fontSize(18).text(store.name, left, 50);
+  doc.font('Helvetica').fontSize(9);
+  [
+    store.address,
+    [store.city, store.state].filter(Boolean).join(', '),
+    store.phone && `Phone: ${store.phone}`,
+    store.email && `Email: ${store.email}`,
+    store.gstin && `GSTIN: ${store.gstin}`
+  ].filter(Boolean).forEach((line) => doc.text(line));
+
+  doc.font('Helvetica-Bold').fontSize(14).text('TAX INVOICE', left, 50, { align: 'right' });
+  doc.font('Helvetica').fontSize(9)
+    .text(`Invoice No: ${booking.invoiceNumber}`, { align: 'right' })
+    .text(`Invoice Date: ${formatDate(booking.invoiceDate)}`, { align: 'right' })
+    .text(`Order Date: ${formatDate(booking.orderDate)}`, { align: 'right' })
+    .text(`Coupon Code: ${booking.couponCode}`, { align: 'right' });
+
+  // Customer details
+  doc.moveDown(2);
+  const billToY = Math.max(doc.y, 140);
+  doc.font('Helvetica-Bold').fontSize(10).text('Bill To', left, billToY);
+  doc.font('Helvetica').fontSize(9)
+    .text(booking.customerName)
+    .text(`Phone: ${booking.customerPhone}`)
+    .text(booking.customerAddress, { width: 250 });
+  if (totals.placeOfSupplyName) {
+    doc.text(`Place of Supply: ${totals.placeOfSupplyName} (${totals.placeOfSupply})`);
+  }
+
+  // Line items
+  const columns = [
+    { label: 'Item', x: left, width: 150 },
+    { label: 'HSN', x: 205, width: 40 },
+    { label: 'Qty', x: 245, width: 35, align: 'right' },
+    { label: 'MRP', x: 285, width: 70, align: 'right' },
+    { label: 'Rate', x: 360, width: 70, align: 'right' },
+    { label: 'Amount', x: 435, width: right - 435, align: 'right' }
+  ];
+
+  const drawRow = (values, y, font = 'Helvetica') => {
+    doc.font(font).fontSize(9);
+    columns.forEach((column, index) => {
+      doc.text(values[index], column.x, y, { width: column.width, align: column.align || 'left' });
+    });
+  };
+
+  let y = doc.y + 25;
+  doc.moveTo(left, y - 5).lineTo(right, y - 5).stroke();
+  drawRow(columns.map((column) => column.label), y, 'Helvetica-Bold');
+  y += 18;
+  doc.moveTo(left, y - 5).lineTo(right, y - 5).stroke();
+
+  booking.lineItems.forEach((item) => {
+    drawRow([
+      `${item.productName}\n${item.productCategory}`,
+      item.hsnCode || getProductTax({ category: item.productCategory }).hsnCode || '-',
+      String(item.quantity),
+      formatMoney(item.strikePrice),
+      formatMoney(item.sellingPrice),
+      formatMoney(item.totalAmount)
+    ], y);
+    y = Math.max(doc.y, y + 25) + 10;
+    doc.moveTo(left, y - 5).lineTo(right, y - 5).stroke();
+  });
+
+  // Tax summary
+  const summary = [
+    ['Gross Amount (MRP)', formatMoney(totals.grossAmount)],
+    [`Discount (${booking.discountPercentage}%)`, `- ${formatMoney(totals.discount)}`],
+    totals.promoDiscount > 0 && [`Promo Code (${booking.promoCode})`, `- ${formatMoney(totals.promoDiscount)}`],
+    ['Taxable Value', formatMoney(totals.taxableValue)],
+    ...totals.taxRows.map((row) => [row.label, formatMoney(row.amount)])
+  ].filter(Boolean);
+
+  summary.forEach(([label, value]) => {
+    doc.font('Helvetica').fontSize(9)
+      .text(label, 300, y, { width: 130 })
+      .text(value, 435, y, { width: right - 435, align: 'right' });
+    y += 15;
+  });
+
+  doc.moveTo(300, y).lineTo(right, y).stroke();
+  y += 6;
+  doc.font('Helvetica-Bold').fontSize(10)
+    .text('Total (incl. GST)', 300, y, { width: 130 })
+    .text(formatMoney(totals.total), 435, y, { width: right - 435, align: 'right' });
+
+  y += 25;
+  doc.font('Helvetica-Bold').fontSize(9).text('Amount in words:', left, y);
+  doc.font('Helvetica').text(totals.totalInWords, left, doc.y, { width: right - left });
+
+  // Footer
+  doc.moveDown(3);
+  doc.fontSize(8).fillColor('#555555')
+    .text(`${totals.pricesIncludeTax ? 'Prices are inclusive of GST.' : 'GST is charged on top of the listed prices.'} This is a computer generated invoice and does not require a signature.`, left, doc.y, {
+      width: right - left,
+      align: 'center'
+    });
+
+  doc.end();
+};
@@ -0,0 +1,66 @@
+import Booking from '../../models/Booking.js';
+import config from '../../config/jobs.js';
+import paymentConfig from '../../config/payments.js';
+import { changeBookingStatus } from '../bookingService.js';
+import { cancelBooking } from '../cancellationService.js';
+
+// Cancel confirmed bookings whose pickup date passed more than
+// `bookingExpiryDays` ago without the customer collecting them. A no-show is
+// a late cancellation: it goes through the cancellation policy, so the fee is
+// charged and recorded on the booking and kept out of the refund of an online
+// payment. Stock and the pickup slot are released and the customer is
+// notified.
+export const expireUncollectedBookings = async (now = new Date()) => {
+  const days = config.bookingExpiryDays;
+  const cutoff = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+  const reason = `Expired: not collected within ${days} day(s) of the booking date`;
+
+  const expired = await Booking.find({ status: 'confirmed', bookingDate: { $lt: cutoff } })
+    .select('_id')
+    .limit(200)
+    .lean();
+
+  let cancelled = 0;
+  for (const { _id } of expired) {
+    try {
+      await cancelBooking(_id, { reason });
+      cancelled += 1;
+    } catch (error) {
+      // Changed meanwhile (e.g. completed at the counter); skip it
+      console.error(`Could not expire booking ${_id}:`, error.message);
+    }
+  }
+
+  return { checked: expired.length, cancelled };
+};
+
+// Cancel online bookings that were not paid within the payment timeout, so
+// their stock and pickup slot become available again
+export const expireUnpaidBookings = async (now = new Date()) => {
+  const minutes = paymentConfig.paymentTimeoutMinutes;
+  const cutoff = new Date(now.getTime() - minutes * 60 * 1000);
+  const reason = `Expired: payment not completed within ${minutes} minute(s)`;
+
+  const expired = await Booking.find({
+    status: 'pending',
+    paymentMethod: 'online',
+    paymentStatus: { $in: ['pending', 'failed'] },
+    createdAt: { $lt: cutoff }
+  })
+    .select('_id')
+    .limit(200)
+    .lean();
+
+  let cancelled = 0;
+  for (const { _id } of expired) {
+    try {
+      await changeBookingStatus(_id, 'cancelled', { reason });
+      cancelled += 1;
+    } catch (error) {
+      // Paid meanwhile; skip it
+      console.error(`Could not expire unpaid booking ${_id}:`, error.message);
+    }
+  }
+
+  return { checked: expired.length, cancelled };
+};
@@ -0,0 +1,34 @@
+import config from '../../config/jobs.js';
+import { processOutbox } from '../notifications/index.js';
+import { expireUncollectedBookings, expireUnpaidBookings } from './expireBookings.js';
+import { registerJob, startJobRunner, stopJobRunner } from './runner.js';
+
+// Register the application's background jobs and start the runner
+export const startJobs = () => {
+  if (!config.enabled) {
+    console.log('Background jobs disabled');
+    return;
+  }
+
+  registerJob({
+    name: 'notification-outbox',
+    intervalMs: 60 * 1000,
+    handler: async () => ({ processed: await processOutbox() })
+  });
+
+  registerJob({
+    name: 'expire-bookings',
+    intervalMs: config.bookingExpiryIntervalMs,
+    handler: () => expireUncollectedBookings()
+  });
+
+  registerJob({
+    name: 'expire-unpaid-bookings',
+    intervalMs: 5 * 60 * 1000,
+    handler: () => expireUnpaidBookings()
+  });
+
+  startJobRunner();
+};
+
+export const stopJobs = stopJobRunner;
@@ -0,0 +1,72 @@
+import os from 'os';
+import crypto from 'crypto';
+import JobLock from '../../models/JobLock.js';
+
+// Identifies this process when it holds a job lock
+const instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+// How often each instance checks whether a job is due
+const TICK_MS = 15 * 1000;
+
+const jobs = new Map();
+let timer = null;
+
+// Register a job. `handler` is an async function whose return value is
+// stored as the job's last result. `intervalMs` is the time between runs;
+// `lockMs` is how long a run may take before another instance may take over.
+export const registerJob = ({ name, intervalMs, lockMs = 10 * 60 * 1000, handler }) => {
+  jobs.set(name, { name, intervalMs, lockMs, handler, running: false });
+};
+
+// Run a job if it is due and this instance wins its lock
+const runJob = async (job) => {
+  if (job.running) return;
+  job.running = true;
+
+  try {
+    const lock = await JobLock.acquire(job.name, instanceId, job.lockMs);
+    if (!lock) return;
+
+    let result;
+    let error;
+    try {
+      result = await job.handler();
+    } catch (err) {
+      error = err;
+      console.error(`Job ${job.name} failed:`, err);
+    }
+
+    await JobLock.release(job.name, instanceId, {
+      nextRunAt: new Date(Date.now() + job.intervalMs),
+      error,
+      result
+    });
+  } catch (error) {
+    console.error(`Job runner error (${job.name}):`, error);
+  } finally {
+    job.running = false;
+  }
+};
+
+const tick = () => {
+  jobs.forEach((job) => {
+    runJob(job);
+  });
+};
+
+// Start checking registered jobs; safe to call more than once
+export const startJobRunner = () => {
+  if (timer) return;
+
+  timer = setInterval(tick, TICK_MS);
+  timer.unref();
+  tick();
+  console.log(`Job runner started with ${jobs.size} job(s)`);
+};
+
+export const stopJobRunner = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
@@ -0,0 +1,175 @@
+import Notification from '../../models/Notification.js';
+import User from '../../models/User.js';
+import config from '../../config/notifications.js';
+import templates from './templates.js';
+import { createConsoleTransport } from './transports/console.js';
+import { createFileTransport } from './transports/file.js';
+import { createSmtpTransport } from './transports/smtp.js';
+import { createHttpSmsTransport } from './transports/httpSms.js';
+
+// Notifications stuck in 'sending' longer than this (e.g. the process died
+// mid-send) are handed back to the queue
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+// Transport per channel, created on first use.
+// Every transport implements send({ channel, to, subject, body }) -> { id }.
+const transports = {};
+
+const createTransport = (channel) => {
+  const { transport } = config[channel];
+
+  if (transport === 'file') return createFileTransport({ file: config.file });
+  if (channel === 'email' && transport === 'smtp') return createSmtpTransport(config.email.smtp);
+  if (channel === 'sms' && transport === 'http') return createHttpSmsTransport(config.sms.http);
+  return createConsoleTransport();
+};
+
+const getTransport = (channel) => {
+  if (!transports[channel]) {
+    transports[channel] = createTransport(channel);
+  }
+  return transports[channel];
+};
+
+// Try to send one queued notification. It is claimed atomically first so
+// that a message is never sent twice by concurrent workers. Failures are
+// rescheduled with exponential backoff until maxAttempts is reached.
+export const deliverNotification = async (notificationId) => {
+  const now = new Date();
+  const notification = await Notification.findOneAndUpdate(
+    { _id: notificationId, status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!notification) return null;
+
+  const transport = getTransport(notification.channel);
+  notification.transport = transport.name;
+
+  try {
+    const result = await transport.send({
+      channel: notification.channel,
+      to: notification.to,
+      subject: notification.subject,
+      body: notification.body
+    });
+
+    notification.status = 'sent';
+    notification.sentAt = new Date();
+    notification.providerMessageId = result && result.id;
+    notification.lastError = undefined;
+  } catch (error) {
+    notification.lastError = error.message;
+
+    if (notification.attempts >= notification.maxAttempts) {
+      notification.status = 'failed';
+      console.error(`Notification ${notification._id} failed permanently:`, error.message);
+    } else {
+      notification.status = 'pending';
+      notification.nextAttemptAt = new Date(
+        Date.now() + config.retryBaseDelayMs * 2 ** (notification.attempts - 1)
+      );
+    }
+  }
+
+  notification.lockedAt = undefined;
+  return notification.save();
+};
+
+// Deliver every notification that is due, including retries.
+// Returns the number of notifications processed.
+export const processOutbox = async ({ limit = 50 } = {}) => {
+  await Notification.updateMany(
+    { status: 'sending', lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) } },
+    { $set: { status: 'pending' }, $unset: { lockedAt: 1 } }
+  );
+
+  const due = await Notification.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(limit)
+    .select('_id')
+    .lean();
+
+  for (const { _id } of due) {
+    await deliverNotification(_id);
+  }
+
+  return due.length;
+};
+
+// Render an event for each recipient, store it in the outbox and start
+// delivery in the background. `recipients` is { email: [...], sms: [...] }.
+export const queueNotification = async (event, data, recipients, refs = {}) => {
+  const template = templates[event];
+  if (!template) {
+    throw new Error(`Unknown notification event: ${event}`);
+  }
+
+  const docs = [];
+  for (const channel of ['email', 'sms']) {
+    if (!template[channel]) continue;
+
+    const { subject, body } = template[channel](data);
+    const addresses = [...new Set((recipients[channel] || []).filter(Boolean))];
+
+    addresses.forEach((to) => docs.push({
+      event,
+      channel,
+      to,
+      subject,
+      body,
+      maxAttempts: config.maxAttempts,
+      userId: refs.userId,
+      bookingId: refs.bookingId
+    }));
+  }
+
+  if (docs.length === 0) return [];
+
+  const notifications = await Notification.insertMany(docs);
+
+  notifications.forEach((notification) => {
+    deliverNotification(notification._id).catch((error) => {
+      console.error(`Error delivering notification ${notification._id}:`, error);
+    });
+  });
+
+  return notifications;
+};
+
+// Notify the customer of a booking event; new bookings also go to staff.
+// Never throws: a notification problem must not fail the request.
+export const notifyBookingEvent = async (event, booking) => {
+  try {
+    const userId = booking.userId._id || booking.userId;
+    const user = await User.findById(userId).select('name email phone');
+    const refs = { userId, bookingId: booking._id };
+
+    await queueNotification(event, { booking, user }, {
+      email: [user && user.email],
+      sms: [booking.customerPhone]
+    }, refs);
+
+    if (event === 'booking_created') {
+      await queueNotification('booking_created_admin', { booking, user }, {
+        email: config.adminEmails,
+        sms: config.adminPhones
+      }, refs);
+    }
+  } catch (error) {
+    console.error(`Error queueing ${event} notification:`, error);
+  }
+};
+
+// Notify a user of an account event. Never throws.
+export const notifyUserEvent = async (event, user) => {
+  try {
+    await queueNotification(event, { user }, {
+      email: [user.email],
+      sms: [user.phone]
+    }, { userId: user._id });
+  } catch (error) {
+    console.error(`Error queueing ${event} notification:`, error);
+  }
+};
@@ -0,0 +1,121 @@
+import store from '../../config/store.js';
+
+const formatMoney = (value) => `₹${Number(value || 0).toLocaleString('en-IN')}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  weekday: 'short',
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric',
+  timeZone: store.timezone
+});
+
+// "ThinkPad T480" or "ThinkPad T480 + 2 more items"
+const describeItems = (booking) => {
+  const items = booking.lineItems;
+  return items.length > 1
+    ? `${items[0].productName} + ${items.length - 1} more item(s)`
+    : items[0].productName;
+};
+
+const itemLines = (booking) => booking.lineItems
+  .map((item) => `- ${item.productName} x ${item.quantity}: ${formatMoney(item.totalAmount)}`)
+  .join('\n');
+
+// Cancellation fee and refund lines of a cancelled booking's email
+const cancellationCharges = (booking) => {
+  const { cancellation } = booking;
+  if (!cancellation) return '';
+
+  let text = cancellation.fee > 0 ? `\nCancellation fee: ${formatMoney(cancellation.fee)}` : '';
+  if (cancellation.refundableAmount > 0) {
+    text += `\nRefund: ${formatMoney(cancellation.refundableAmount)}`;
+  }
+  return text;
+};
+
+const signature = () => `\n\nThank you,\n${store.name}${store.phone ? `\n${store.phone}` : ''}`;
+
+// Message templates per event. Each event may define an `email`
+// ({ subject, body }) and/or an `sms` ({ body }) renderer taking the event data.
+const templates = {
+  booking_created: {
+    email: ({ booking, user }) => ({
+      subject: `Booking confirmed - ${booking.couponCode}`,
+      body: `Hi ${user ? user.name : booking.customerName},\n\n`
+        + `Your booking is confirmed.\n\n`
+        + `${itemLines(booking)}\n`
+        + `Total: ${formatMoney(booking.totalAmount)}\n`
+        + `Pickup date: ${formatDate(booking.bookingDate)}\n`
+        + `Coupon code: ${booking.couponCode}\n\n`
+        + 'Show the coupon code or its QR code at the counter to collect your order.'
+        + signature()
+    }),
+    sms: ({ booking }) => ({
+      body: `${store.name}: Booking ${booking.couponCode} confirmed for ${describeItems(booking)}, `
+        + `total ${formatMoney(booking.totalAmount)}, pickup ${formatDate(booking.bookingDate)}.`
+    })
+  },
+
+  booking_created_admin: {
+    email: ({ booking }) => ({
+      subject: `New booking ${booking.couponCode} - ${formatMoney(booking.totalAmount)}`,
+      body: `New booking received.\n\n`
+        + `Customer: ${booking.customerName} (${booking.customerPhone})\n`
+        + `Address: ${booking.customerAddress}\n\n`
+        + `${itemLines(booking)}\n`
+        + `Total: ${formatMoney(booking.totalAmount)}\n`
+        + `Pickup date: ${formatDate(booking.bookingDate)}\n`
+        + `Coupon code: ${booking.couponCode}`
+        + (booking.notes ? `\nNotes: ${booking.notes}` : '')
+    }),
+    sms: ({ booking }) => ({
+      body: `New booking ${booking.couponCode}: ${describeItems(booking)} for ${booking.customerName} `
+        + `(${booking.customerPhone}), ${formatMoney(booking.totalAmount)}, pickup ${formatDate(booking.bookingDate)}.`
+    })
+  },
+
+  booking_cancelled: {
+    email: ({ booking, user }) => ({
+      subject: `Booking cancelled - ${booking.couponCode}`,
+      body: `Hi ${user ? user.name : booking.customerName},\n\n`
+        + `Your booking ${booking.couponCode} for ${describeItems(booking)} has been cancelled.\n`
+        + `Reason: ${booking.cancellationReason || 'Not specified'}`
+        + cancellationCharges(booking)
+        + signature()
+    }),
+    sms: ({ booking }) => ({
+      body: `${store.name}: Booking ${booking.couponCode} has been cancelled. `
+        + `Reason: ${booking.cancellationReason || 'Not specified'}.`
+    })
+  },
+
+  booking_completed: {
+    email: ({ booking, user }) => ({
+      subject: `Order collected - ${booking.couponCode}`,
+      body: `Hi ${user ? user.name : booking.customerName},\n\n`
+        + `Your order ${booking.couponCode} for ${describeItems(booking)} is complete.\n`
+        + (booking.invoiceNumber ? `Invoice number: ${booking.invoiceNumber}\n` : '')
+        + 'You can download the invoice from your bookings page.'
+        + signature()
+    }),
+    sms: ({ booking }) => ({
+      body: `${store.name}: Order ${booking.couponCode} completed. Thank you for shopping with us!`
+    })
+  },
+
+  password_changed: {
+    email: ({ user }) => ({
+      subject: 'Your password was changed',
+      body: `Hi ${user.name},\n\n`
+        + 'The password of your account was just changed. '
+        + `If this was not you, contact us immediately${store.phone ? ` on ${store.phone}` : ''}.`
+        + signature()
+    }),
+    sms: () => ({
+      body: `${store.name}: Your account password was changed. If this was not you, contact us immediately.`
+    })
+  }
+};
+
+export default templates;
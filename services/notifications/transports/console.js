@@ -0,0 +1,8 @@
+// Console transport: prints messages instead of sending them (local use)
+export const createConsoleTransport = () => ({
+  name: 'console',
+  async send({ channel, to, subject, body }) {
+    console.log(`[notification:${channel}] to=${to}${subject ? ` subject="${subject}"` : ''}\n${body}\n`);
+    return {};
+  }
+});
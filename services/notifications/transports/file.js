@@ -0,0 +1,12 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// File transport: appends each message as a JSON line (local use)
+export const createFileTransport = ({ file = 'logs/notifications.log' } = {}) => ({
+  name: 'file',
+  async send(message) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.appendFile(file, `${JSON.stringify({ ...message, at: new Date().toISOString() })}\n`);
+    return {};
+  }
+});
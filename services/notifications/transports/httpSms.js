@@ -0,0 +1,34 @@
+// Generic HTTP SMS transport.
+// POSTs { to, message, sender } as JSON to the provider URL with an optional
+// bearer token; any 2xx response counts as accepted.
+export const createHttpSmsTransport = ({ url, token, sender, timeoutMs = 10000 }) => ({
+  name: 'http-sms',
+  async send({ to, body }) {
+    if (!url) {
+      throw new Error('SMS_HTTP_URL is not configured');
+    }
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` })
+      },
+      body: JSON.stringify({ to, message: body, sender }),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    const text = await response.text();
+    if (!response.ok) {
+      throw new Error(`SMS provider responded ${response.status}: ${text.slice(0, 200)}`);
+    }
+
+    let id;
+    try {
+      ({ id } = JSON.parse(text));
+    } catch (e) {
+      // Provider did not return JSON; nothing to record
+    }
+    return { id };
+  }
+});
@@ -0,0 +1,19 @@
+import nodemailer from 'nodemailer';
+
+// SMTP transport for email
+export const createSmtpTransport = ({ host, port, secure, user, pass, from }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    async send({ to, subject, body }) {
+      const info = await transporter.sendMail({ from, to, subject, text: body });
+      return { id: info.messageId };
+    }
+  };
+};
@@ -0,0 +1,299 @@
+import mongoose from 'mongoose';
+import Booking from '../../models/Booking.js';
+import PaymentEvent from '../../models/PaymentEvent.js';
+import config from '../../config/payments.js';
+import HttpError from '../../utils/httpError.js';
+import { notifyBookingEvent } from '../notifications/index.js';
+import { createMockProvider } from './providers/mock.js';
+
+// Payment providers by name. Every provider implements
+//   createOrder({ amount, receipt, bookingId }) -> { orderId, amount, currency, checkoutUrl }
+//   refund({ paymentId, orderId, amount }) -> { refundId, status: 'processed' | 'pending' }
+//   verifyWebhook(rawBody, headers) -> boolean
+//   parseWebhook(payload) -> { id, type, orderId, paymentId, refundId, amount, reason }
+// with webhook types payment.captured, payment.failed, refund.processed and
+// refund.failed.
+const providers = {
+  mock: createMockProvider
+};
+
+let provider;
+
+export const getPaymentProvider = () => {
+  if (!provider) {
+    const create = providers[config.provider];
+    if (!create) {
+      throw new Error(`Unknown payment provider: ${config.provider}`);
+    }
+    provider = create({ webhookSecret: config.webhookSecret, currency: config.currency });
+  }
+  return provider;
+};
+
+// Payment statuses from which a new gateway order may be opened
+const PAYABLE_STATUSES = ['pending', 'failed'];
+
+// Open a gateway order for the total of an online booking that is still
+// awaiting payment, e.g. right after booking or to retry a failed payment.
+// Returns { booking, order } where order carries the checkout details.
+export const createPaymentOrder = async (bookingId, { user } = {}) => {
+  const booking = await Booking.findById(bookingId);
+
+  if (!booking) {
+    throw new HttpError(404, 'Booking not found');
+  }
+
+  if (user && user.role !== 'admin' && booking.userId.toString() !== user._id.toString()) {
+    throw new HttpError(403, 'Not authorized to pay for this booking');
+  }
+
+  if (booking.paymentMethod !== 'online' || booking.status !== 'pending'
+    || !PAYABLE_STATUSES.includes(booking.paymentStatus)) {
+    throw new HttpError(400, 'This booking is not awaiting online payment');
+  }
+
+  const gateway = getPaymentProvider();
+  const order = await gateway.createOrder({
+    amount: booking.totalAmount,
+    receipt: booking.couponCode,
+    bookingId: booking._id.toString()
+  });
+
+  const updated = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: 'pending', paymentStatus: { $in: PAYABLE_STATUSES } },
+    {
+      $set: {
+        paymentStatus: 'pending',
+        'payment.provider': gateway.name,
+        'payment.orderId': order.orderId,
+        'payment.amount': order.amount,
+        'payment.currency': order.currency
+      },
+      $push: { 'payment.orderIds': order.orderId },
+      $unset: { 'payment.failedAt': 1, 'payment.failureReason': 1 }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new HttpError(409, 'This booking is no longer awaiting payment');
+  }
+
+  return { booking: updated, order };
+};
+
+// Start the payment of a newly created online booking. A gateway error does
+// not fail the booking: its payment is marked failed so the customer can
+// retry. Returns { booking, order } with a null order on failure.
+export const startBookingPayment = async (booking) => {
+  try {
+    return await createPaymentOrder(booking._id);
+  } catch (error) {
+    console.error(`Could not create payment order for booking ${booking._id}:`, error);
+
+    const failed = await Booking.findOneAndUpdate(
+      { _id: booking._id, paymentStatus: 'pending' },
+      {
+        $set: {
+          paymentStatus: 'failed',
+          'payment.failedAt': new Date(),
+          'payment.failureReason': 'Could not start the payment. Please try again.'
+        }
+      },
+      { new: true }
+    );
+
+    return { booking: failed || booking, order: null };
+  }
+};
+
+// Mark the online payment of a booking that is being cancelled: a paid
+// booking is due a refund of `refundAmount` (the full amount by default; a
+// paid booking whose cancellation fee takes it all stays 'paid'), an unpaid
+// one can no longer be paid. Call inside the cancelling transaction and
+// requestRefund() once it has committed.
+export const markPaymentCancelled = (booking, refundAmount = booking.payment && booking.payment.amount) => {
+  if (booking.paymentStatus === 'paid' && refundAmount > 0) {
+    booking.paymentStatus = 'refund_pending';
+    booking.payment.refundAmount = refundAmount;
+  } else if (booking.paymentStatus === 'pending') {
+    booking.paymentStatus = 'failed';
+    booking.payment = booking.payment || {};
+    booking.payment.failedAt = new Date();
+    booking.payment.failureReason = 'Booking cancelled before payment';
+  }
+};
+
+// Refund a booking whose payment is 'refund_pending'. The refund is claimed
+// atomically so the gateway is asked only once; on a gateway error the claim
+// is dropped again and the error recorded, so it can be retried.
+// Returns the updated booking, or null if there was nothing to refund.
+export const requestRefund = async (bookingId) => {
+  const claimed = await Booking.findOneAndUpdate(
+    { _id: bookingId, paymentStatus: 'refund_pending', 'payment.refundRequestedAt': null },
+    { $set: { 'payment.refundRequestedAt': new Date() }, $unset: { 'payment.refundError': 1 } },
+    { new: true }
+  );
+
+  if (!claimed) return null;
+
+  try {
+    const refund = await getPaymentProvider().refund({
+      paymentId: claimed.payment.paymentId,
+      orderId: claimed.payment.orderId,
+      amount: claimed.payment.refundAmount
+    });
+
+    const update = { 'payment.refundId': refund.refundId };
+    if (refund.status === 'processed') {
+      update.paymentStatus = 'refunded';
+      update['payment.refundedAt'] = new Date();
+    }
+
+    return await Booking.findByIdAndUpdate(bookingId, { $set: update }, { new: true });
+  } catch (error) {
+    console.error(`Refund of booking ${bookingId} failed:`, error);
+
+    return Booking.findByIdAndUpdate(
+      bookingId,
+      { $set: { 'payment.refundError': error.message }, $unset: { 'payment.refundRequestedAt': 1 } },
+      { new: true }
+    );
+  }
+};
+
+// Apply a webhook event to its booking (loaded in the webhook transaction).
+// Returns what happened, which is stored with the event.
+const applyPaymentEvent = async (booking, event) => {
+  const payment = booking.payment;
+
+  switch (event.type) {
+    case 'payment.captured':
+      if (['paid', 'refund_pending', 'refunded'].includes(booking.paymentStatus)) {
+        if (payment.paymentId === event.paymentId) return 'ignored';
+        // A second payment for the same booking, e.g. via an older order
+        console.error(`Booking ${booking._id} was paid twice (${payment.paymentId}, ${event.paymentId}); refund manually`);
+        return 'duplicate_payment';
+      }
+
+      booking.paymentStatus = 'paid';
+      payment.paymentId = event.paymentId;
+      payment.paidAt = new Date();
+      payment.failedAt = undefined;
+      payment.failureReason = undefined;
+
+      // Paid after the booking expired or was cancelled: give the money back
+      if (booking.status === 'cancelled') {
+        markPaymentCancelled(booking);
+        return 'refund_due';
+      }
+
+      if (booking.status === 'pending') {
+        await booking.updateStatus('confirmed', { reason: 'Payment received' });
+      }
+      return 'paid';
+
+    case 'payment.failed':
+      // Only the current order's failure counts; the customer may have retried
+      if (booking.paymentStatus !== 'pending' || payment.orderId !== event.orderId) return 'ignored';
+
+      booking.paymentStatus = 'failed';
+      payment.failedAt = new Date();
+      payment.failureReason = event.reason || 'Payment failed';
+      return 'failed';
+
+    case 'refund.processed':
+      if (booking.paymentStatus !== 'refund_pending') return 'ignored';
+
+      booking.paymentStatus = 'refunded';
+      payment.refundId = payment.refundId || event.refundId;
+      payment.refundedAt = new Date();
+      return 'refunded';
+
+    case 'refund.failed':
+      if (booking.paymentStatus !== 'refund_pending') return 'ignored';
+
+      payment.refundError = event.reason || 'Refund failed';
+      payment.refundRequestedAt = undefined;
+      return 'refund_failed';
+
+    default:
+      return 'ignored';
+  }
+};
+
+// Handle a payment gateway webhook. The signature is checked against the raw
+// request body. The event is applied in one transaction with recording its
+// id, so an event delivered again is acknowledged without being re-applied.
+// Returns { outcome, bookingId }.
+export const handlePaymentWebhook = async (rawBody, headers) => {
+  const gateway = getPaymentProvider();
+
+  if (!Buffer.isBuffer(rawBody) || !gateway.verifyWebhook(rawBody, headers)) {
+    throw new HttpError(401, 'Invalid webhook signature');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody.toString('utf8'));
+  } catch (e) {
+    throw new HttpError(400, 'Invalid webhook payload');
+  }
+
+  const event = gateway.parseWebhook(payload);
+  if (!event.id || !event.type) {
+    throw new HttpError(400, 'Invalid webhook payload');
+  }
+
+  const eventKey = `${gateway.name}:${event.id}`;
+  const session = await mongoose.startSession();
+  let booking;
+  let outcome;
+
+  try {
+    await session.withTransaction(async () => {
+      if (await PaymentEvent.exists({ _id: eventKey }).session(session)) {
+        outcome = 'duplicate';
+        return;
+      }
+
+      booking = event.orderId
+        ? await Booking.findOne({ 'payment.orderIds': event.orderId }).session(session)
+        : null;
+
+      if (booking) {
+        outcome = await applyPaymentEvent(booking, event);
+        await booking.save();
+      } else {
+        outcome = 'unknown_order';
+      }
+
+      await PaymentEvent.create([{
+        _id: eventKey,
+        provider: gateway.name,
+        type: event.type,
+        orderId: event.orderId,
+        paymentId: event.paymentId,
+        bookingId: booking && booking._id,
+        outcome,
+        payload
+      }], { session });
+    });
+  } catch (error) {
+    // The same event delivered concurrently and recorded by the other request
+    if (error.code === 11000) {
+      return { outcome: 'duplicate' };
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  if (outcome === 'paid') {
+    notifyBookingEvent('booking_created', booking);
+  } else if (outcome === 'refund_due') {
+    await requestRefund(booking._id);
+  }
+
+  return { outcome, bookingId: booking && booking._id };
+};
@@ -0,0 +1,67 @@
+import crypto from 'crypto';
+import { signPayload, verifySignature } from '../signature.js';
+
+const SIGNATURE_HEADER = 'x-payment-signature';
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+// Built-in gateway for local development. Nothing leaves the server: orders
+// and refunds succeed immediately, and a payment is completed or failed by
+// building the signed webhook the gateway would send (simulateEvent) and
+// handing it to the normal webhook handler.
+export const createMockProvider = ({ webhookSecret, currency }) => ({
+  name: 'mock',
+
+  async createOrder({ amount, receipt }) {
+    const orderId = randomId('mock_order');
+
+    return {
+      orderId,
+      amount,
+      currency,
+      receipt,
+      checkoutUrl: `/api/payments/mock/checkout/${orderId}`
+    };
+  },
+
+  async refund({ amount }) {
+    return { refundId: randomId('mock_refund'), amount, status: 'processed' };
+  },
+
+  verifyWebhook(rawBody, headers) {
+    return verifySignature(rawBody, headers[SIGNATURE_HEADER], webhookSecret);
+  },
+
+  parseWebhook(payload) {
+    const data = payload.data || {};
+
+    return {
+      id: payload.id,
+      type: payload.event,
+      orderId: data.orderId,
+      paymentId: data.paymentId,
+      refundId: data.refundId,
+      amount: data.amount,
+      reason: data.reason
+    };
+  },
+
+  // Signed webhook for `type` ('payment.captured', 'payment.failed', ...)
+  simulateEvent({ type, orderId, amount, reason }) {
+    const payload = {
+      id: randomId('mock_evt'),
+      event: type,
+      createdAt: new Date().toISOString(),
+      data: {
+        orderId,
+        paymentId: type.startsWith('payment.') ? randomId('mock_pay') : undefined,
+        amount,
+        currency,
+        reason
+      }
+    };
+    const rawBody = Buffer.from(JSON.stringify(payload));
+
+    return { rawBody, headers: { [SIGNATURE_HEADER]: signPayload(rawBody, webhookSecret) } };
+  }
+});
@@ -0,0 +1,17 @@
+import crypto from 'crypto';
+
+// HMAC-SHA256 signature (hex) of a raw webhook body
+export const signPayload = (rawBody, secret) => crypto
+  .createHmac('sha256', secret)
+  .update(rawBody)
+  .digest('hex');
+
+// Check a webhook signature in constant time. Fails when no secret is set.
+export const verifySignature = (rawBody, signature, secret) => {
+  if (!secret || typeof signature !== 'string') return false;
+
+  const expected = Buffer.from(signPayload(rawBody, secret), 'hex');
+  const received = Buffer.from(signature, 'hex');
+
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
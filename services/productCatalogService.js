@@ -0,0 +1,161 @@
+import Product from '../models/Product.js';
+import { textSearchFilter } from './productSearchService.js';
+
+// Lower bounds of the price ranges counted in the facets, in rupees. Prices
+// from the last bound up share one open-ended range.
+export const PRICE_BUCKETS = [0, 5000, 10000, 25000, 50000, 100000];
+
+// Values of a multi-select query parameter, given repeated
+// (?brand=HP&brand=Dell) and/or comma-separated (?brand=HP,Dell)
+export const toList = (value) => [].concat(value)
+  .flatMap((item) => String(item).split(','))
+  .map((item) => item.trim())
+  .filter(Boolean);
+
+// Condition on products having an active variant matching `conditions`
+const variantMatch = (conditions) => ({ variants: { $elemMatch: { isActive: true, ...conditions } } });
+
+// Turn the catalog query into filters. Facet filters (category, condition,
+// type, brand, price, variant) are kept apart so each facet can be counted
+// with every filter but its own, letting customers widen a multi-select.
+// `variantAttributes` maps an attribute name to the values wanted, e.g.
+// { ram: ['8GB', '16GB'] }. Products sold in variants match the price range
+// and attributes through one and the same active variant.
+// Returns { filters, facetFilters }: a list of conditions and conditions keyed
+// by facet.
+export const buildCatalogFilters = ({
+  category = [],
+  condition = [],
+  type = [],
+  brand = [],
+  minPrice,
+  maxPrice,
+  variantAttributes = {},
+  year = [],
+  availability = [],
+  inStock = false,
+  tags = [],
+  minRating
+}) => {
+  const facetFilters = {};
+  if (category.length) facetFilters.category = { category: { $in: category } };
+  if (condition.length) facetFilters.condition = { condition: { $in: condition } };
+  if (type.length) facetFilters.type = { type: { $in: type } };
+  if (brand.length) facetFilters.brand = { 'specifications.brand': { $in: brand } };
+
+  const attributes = {};
+  Object.entries(variantAttributes).forEach(([name, values]) => {
+    if (values.length) attributes[`attributes.${name}`] = { $in: values };
+  });
+  const hasAttributes = Object.keys(attributes).length > 0;
+  if (hasAttributes) facetFilters.variant = variantMatch(attributes);
+
+  if (minPrice != null || maxPrice != null) {
+    const price = {};
+    if (minPrice != null) price.$gte = minPrice;
+    if (maxPrice != null) price.$lte = maxPrice;
+    facetFilters.price = { $or: [{ 'variants.isActive': { $ne: true }, price }, variantMatch({ price })] };
+
+    // Counted with neither facet, so each still shows the other's options
+    if (hasAttributes) facetFilters['variant+price'] = variantMatch({ ...attributes, price });
+  }
+
+  const filters = [];
+  if (year.length) filters.push({ 'specifications.year': { $in: year } });
+  if (availability.length) filters.push({ availability: { $in: availability } });
+  if (inStock) filters.push({ availability: 'Available', stock: { $gt: 0 } });
+  if (tags.length) filters.push({ tags: { $in: tags } });
+  if (minRating != null) filters.push({ averageRating: { $gte: minRating } });
+
+  return { filters, facetFilters };
+};
+
+// $match stage of the facet filters, leaving out those of the facet named
+// `except` (including combined ones such as 'variant+price')
+const facetMatch = (facetFilters, except) => {
+  const conditions = Object.entries(facetFilters)
+    .filter(([name]) => !name.split('+').includes(except))
+    .map(([, condition]) => condition);
+
+  return { $match: conditions.length ? { $and: conditions } : {} };
+};
+
+// Count of products per value of a field, most common first
+const countBy = (facetFilters, facet, field) => [
+  facetMatch(facetFilters, facet),
+  { $match: { [field]: { $nin: [null, ''] } } },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $project: { _id: 0, value: '$_id', count: 1 } }
+];
+
+// Find a page of active products and the facet counts of the current filter,
+// in one aggregation. With a search, products carry their text `score`,
+// which `sort` may use.
+// Returns { products, total, facets }.
+export const findCatalogProducts = async ({ search, filters, facetFilters, sort, page, limit }) => {
+  const match = { isActive: true, ...(search && textSearchFilter(search)) };
+  if (filters.length) match.$and = filters;
+
+  const [result] = await Product.aggregate([
+    { $match: match },
+    ...(search ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+    {
+      $facet: {
+        products: [
+          facetMatch(facetFilters),
+          { $sort: sort },
+          { $skip: (page - 1) * limit },
+          { $limit: limit }
+        ],
+        total: [facetMatch(facetFilters), { $count: 'count' }],
+        categories: countBy(facetFilters, 'category', 'category'),
+        conditions: countBy(facetFilters, 'condition', 'condition'),
+        types: countBy(facetFilters, 'type', 'type'),
+        brands: countBy(facetFilters, 'brand', 'specifications.brand'),
+        // Products per value of each variant attribute
+        variantAttributes: [
+          facetMatch(facetFilters, 'variant'),
+          { $unwind: '$variants' },
+          { $match: { 'variants.isActive': true } },
+          { $project: { attribute: { $objectToArray: '$variants.attributes' } } },
+          { $unwind: '$attribute' },
+          { $group: { _id: { name: '$attribute.k', value: '$attribute.v' }, products: { $addToSet: '$_id' } } },
+          { $project: { _id: 0, name: '$_id.name', value: '$_id.value', count: { $size: '$products' } } },
+          { $sort: { name: 1, count: -1, value: 1 } }
+        ],
+        priceRanges: [
+          facetMatch(facetFilters, 'price'),
+          { $match: { price: { $gte: 0 } } },
+          {
+            $bucket: {
+              groupBy: '$price',
+              boundaries: PRICE_BUCKETS,
+              default: 'above',
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const products = await Product.populate(result.products, { path: 'createdBy', select: 'name email' });
+  const lastBucket = PRICE_BUCKETS[PRICE_BUCKETS.length - 1];
+
+  return {
+    products,
+    total: result.total.length ? result.total[0].count : 0,
+    facets: {
+      categories: result.categories,
+      conditions: result.conditions,
+      types: result.types,
+      brands: result.brands,
+      variantAttributes: result.variantAttributes,
+      priceRanges: result.priceRanges.map(({ _id, count }) => {
+        if (_id === 'above') return { min: lastBucket, max: null, count };
+        return { min: _id, max: PRICE_BUCKETS[PRICE_BUCKETS.indexOf(_id) + 1], count };
+      })
+    }
+  };
+};
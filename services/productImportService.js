@@ -0,0 +1,438 @@
+import { Readable } from 'stream';
+import ExcelJS from 'exceljs';
+import mongoose from 'mongoose';
+import { body, validationResult } from 'express-validator';
+import Product from '../models/Product.js';
+import { productRules } from '../middleware/productValidation.js';
+import { deleteImage, uploadProductImageFromUrl } from '../config/cloudinary.js';
+import HttpError from '../utils/httpError.js';
+
+// Most data rows one import may have
+export const MAX_IMPORT_ROWS = 500;
+
+// Separates the values of list cells (features, tags, images), which may
+// themselves contain commas
+const LIST_SEPARATOR = '|';
+
+// Spreadsheet columns of the import and export, in export order: header,
+// product field and how the cell is read. `variants` is the JSON of the
+// product's variant list. `id` matches rows to products without an SKU;
+// `stock` only sets the stock of new products and `stockAdjustment` (never
+// exported) changes that of existing ones.
+export const CATALOG_COLUMNS = [
+  { header: 'id', path: '_id' },
+  { header: 'sku', path: 'sku' },
+  { header: 'name', path: 'name' },
+  { header: 'description', path: 'description' },
+  { header: 'category', path: 'category' },
+  { header: 'condition', path: 'condition' },
+  { header: 'type', path: 'type' },
+  { header: 'availability', path: 'availability' },
+  { header: 'price', path: 'price', type: 'number' },
+  { header: 'originalPrice', path: 'originalPrice', type: 'number' },
+  { header: 'stock', path: 'stock', type: 'integer' },
+  { header: 'stockAdjustment', path: 'stockAdjustment', type: 'integer' },
+  { header: 'hsnCode', path: 'hsnCode' },
+  { header: 'gstRate', path: 'gstRate', type: 'number' },
+  { header: 'brand', path: 'specifications.brand' },
+  { header: 'model', path: 'specifications.model' },
+  { header: 'color', path: 'specifications.color' },
+  { header: 'weight', path: 'specifications.weight' },
+  { header: 'dimensions', path: 'specifications.dimensions' },
+  { header: 'warranty', path: 'specifications.warranty' },
+  { header: 'year', path: 'specifications.year', type: 'integer' },
+  { header: 'features', path: 'features', type: 'list' },
+  { header: 'tags', path: 'tags', type: 'list' },
+  { header: 'images', path: 'images', type: 'list' },
+  { header: 'variants', path: 'variants', type: 'json' },
+  { header: 'isActive', path: 'isActive', type: 'boolean' }
+];
+
+// Fields applied apart from the others, or not at all
+const SPECIAL_PATHS = ['_id', 'stock', 'stockAdjustment', 'images'];
+
+// Rules for the row fields the create route does not take, run after its own
+const IMPORT_RULES = [
+  body('_id').optional().isMongoId().withMessage('Invalid product ID'),
+  body('stockAdjustment').optional().isInt().withMessage('Stock adjustment must be a whole number'),
+  body('originalPrice').optional().isFloat({ min: 0 }).withMessage('Original price must be a positive number'),
+  body('specifications.year').optional().isInt({ min: 1900, max: 2100 }).withMessage('Year must be between 1900 and 2100'),
+  body('features.*').isLength({ max: 100 }).withMessage('Feature cannot be more than 100 characters'),
+  body('tags.*').isLength({ max: 50 }).withMessage('Tag cannot be more than 50 characters'),
+  body('images').optional().isArray({ min: 2, max: 5 }).withMessage('A product needs 2 to 5 image URLs'),
+  body('images.*').isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage('Image must be an http(s) URL'),
+  body('isActive').optional().isBoolean({ loose: true }).withMessage('isActive must be true or false')
+];
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+const setPath = (object, path, value) => {
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((target, key) => {
+    target[key] = target[key] || {};
+    return target[key];
+  }, object);
+  parent[keys[keys.length - 1]] = value;
+};
+
+// First worksheet of an uploaded .csv or .xlsx file
+const loadWorksheet = async (file) => {
+  const name = file.originalname.toLowerCase();
+  const workbook = new ExcelJS.Workbook();
+
+  try {
+    if (name.endsWith('.csv')) {
+      // Keep cells as typed: no number or date guessing (SKU 00123 stays 00123)
+      return await workbook.csv.read(Readable.from([file.buffer]), { map: (value) => value });
+    }
+    if (name.endsWith('.xlsx')) {
+      await workbook.xlsx.load(file.buffer);
+      return workbook.worksheets[0];
+    }
+  } catch (error) {
+    throw new HttpError(400, 'Could not read the spreadsheet', { error: error.message });
+  }
+
+  throw new HttpError(400, 'File must be a .csv or .xlsx spreadsheet');
+};
+
+// Data rows of a spreadsheet as { rowNumber, values }: row fields keyed like a
+// request body, list cells split, empty cells left out. The first row holds
+// the column headers (matched case-insensitively); unknown columns are
+// returned in `ignoredColumns`.
+const readSpreadsheet = async (file) => {
+  const worksheet = await loadWorksheet(file);
+  if (!worksheet || worksheet.actualRowCount < 2) {
+    throw new HttpError(400, 'The spreadsheet has no product rows');
+  }
+
+  const columns = new Map();
+  const ignoredColumns = [];
+  worksheet.getRow(1).eachCell((cell, index) => {
+    const header = cell.text.trim();
+    const column = CATALOG_COLUMNS.find((item) => item.header.toLowerCase() === header.toLowerCase());
+    if (column) {
+      columns.set(index, column);
+    } else if (header) {
+      ignoredColumns.push(header);
+    }
+  });
+
+  if (![...columns.values()].some((column) => column.path === 'sku' || column.path === '_id')) {
+    throw new HttpError(400, 'The spreadsheet needs a sku or id column');
+  }
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const values = {};
+    columns.forEach((column, index) => {
+      const text = row.getCell(index).text.trim();
+      if (!text) return;
+
+      setPath(values, column.path, column.type === 'list'
+        ? text.split(LIST_SEPARATOR).map((item) => item.trim()).filter(Boolean)
+        : text);
+    });
+
+    if (Object.keys(values).length > 0) {
+      rows.push({ rowNumber, values });
+    }
+  });
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new HttpError(400, `An import can have at most ${MAX_IMPORT_ROWS} product rows`);
+  }
+
+  return { rows, ignoredColumns };
+};
+
+// Check a row with the create route's rules (the update route's for rows of
+// existing products) and the import's own.
+// Returns { values, errors }: the sanitized row and [{ path, msg }].
+const validateRow = async (values, { creating }) => {
+  const req = { body: values };
+  for (const rule of [...productRules({ optional: !creating }), ...IMPORT_RULES]) {
+    await rule.run(req);
+  }
+
+  const errors = validationResult(req).array().map(({ path, msg }) => ({ path, msg }));
+  if (creating && req.body._id) {
+    errors.unshift({ path: '_id', msg: 'No product with this ID' });
+  } else if (creating && !req.body.sku) {
+    errors.unshift({ path: 'sku', msg: 'SKU is required for new products' });
+  }
+  if (creating && !req.body.images) {
+    errors.push({ path: 'images', msg: 'Minimum 2 product images are required' });
+  }
+  if (creating && req.body.stockAdjustment !== undefined) {
+    errors.push({ path: 'stockAdjustment', msg: 'New products take their stock from the stock column' });
+  }
+  return { values: req.body, errors };
+};
+
+// Set the fields of a validated row, other than images and stock, on a
+// product
+const applyRow = (product, values) => {
+  CATALOG_COLUMNS.forEach(({ path, type }) => {
+    const value = getPath(values, path);
+    if (value === undefined || SPECIAL_PATHS.includes(path)) return;
+
+    switch (type) {
+      case 'number':
+        product.set(path, parseFloat(value));
+        break;
+      case 'integer':
+        product.set(path, parseInt(value));
+        break;
+      case 'boolean':
+        product.set(path, ['true', '1', 'yes'].includes(String(value).toLowerCase()));
+        break;
+      default:
+        product.set(path, value);
+    }
+  });
+};
+
+const toErrors = (error) => Object.values(error.errors).map((item) => ({ path: item.path, msg: item.message }));
+
+// Delete images from Cloudinary, ignoring failures (deleteImage logs them)
+const removeImages = (images) => Promise.all(images
+  .filter((image) => image.publicId)
+  .map((image) => deleteImage(image.publicId).catch(() => {})));
+
+// Fetch the images of a row into Cloudinary, keeping those the product
+// already has. Returns [{ url, publicId }] in the row's order and the newly
+// uploaded ones; on failure, removes what it uploaded and rethrows.
+const resolveImages = async (urls, previous) => {
+  const images = [];
+  const uploaded = [];
+
+  try {
+    for (const url of urls) {
+      const kept = previous.find((image) => image.url === url);
+      const image = kept || await uploadProductImageFromUrl(url);
+      if (!kept) uploaded.push(image);
+      images.push(image);
+    }
+  } catch (error) {
+    await removeImages(uploaded);
+    throw new HttpError(400, `Could not fetch image ${urls[images.length]}`, { error: error.message });
+  }
+
+  return { images, uploaded };
+};
+
+// Stock errors of a row updating `product`: stock held by bookings is only
+// changed through stockAdjustment, and variants keep theirs.
+// Returns [{ path, msg }] and sets the loaded stock on the row's variants, so
+// that saving leaves their stock as it is by then.
+const checkStock = (product, values) => {
+  const errors = [];
+  const adjustment = values.stockAdjustment !== undefined ? parseInt(values.stockAdjustment) : 0;
+
+  if (adjustment !== 0 && (product.hasVariants() || (values.variants || []).length > 0)) {
+    errors.push({ path: 'stockAdjustment', msg: 'The stock of a product with variants is set on its variants' });
+  } else if (product.stock + adjustment < 0) {
+    errors.push({ path: 'stockAdjustment', msg: `Only ${product.stock} unit(s) in stock to take away` });
+  }
+
+  // A stale export must not give back units booked since it was made
+  (values.variants || []).forEach((variant) => {
+    const current = variant._id && product.variants.id(variant._id);
+    if (current) variant.stock = current.stock;
+  });
+
+  return errors;
+};
+
+// Import one row into a new product or `existing`.
+// Returns the row's report: { row, sku, action, status, errors?, productId? }.
+const importRow = async ({ rowNumber, values }, { existing, duplicate, user, dryRun }) => {
+  const creating = !existing;
+  const checked = await validateRow(values, { creating });
+  const report = {
+    row: rowNumber,
+    sku: checked.values.sku || (existing && existing.sku),
+    action: creating ? 'create' : 'update'
+  };
+
+  if (duplicate) {
+    checked.errors.push({ path: 'sku', msg: 'The product appears in an earlier row' });
+  }
+  if (existing && checked.errors.length === 0) {
+    checked.errors.push(...checkStock(existing, checked.values));
+  }
+  if (checked.errors.length > 0) {
+    return { ...report, status: 'failed', errors: checked.errors };
+  }
+
+  const product = existing || new Product({ createdBy: user._id });
+  const previous = product.images.map((url, index) => ({ url, publicId: product.imagePublicIds[index] }));
+  const urls = checked.values.images;
+  const adjustment = checked.values.stockAdjustment !== undefined ? parseInt(checked.values.stockAdjustment) : 0;
+
+  applyRow(product, checked.values);
+  if (creating && checked.values.stock !== undefined) product.stock = parseInt(checked.values.stock);
+  if (urls) product.images = urls;
+
+  try {
+    await product.validate();
+  } catch (error) {
+    if (error.name !== 'ValidationError') throw error;
+    return { ...report, status: 'failed', errors: toErrors(error) };
+  }
+
+  if (dryRun) {
+    return { ...report, status: 'valid' };
+  }
+
+  let uploaded = [];
+  if (urls) {
+    let resolved;
+    try {
+      resolved = await resolveImages(urls, previous);
+    } catch (error) {
+      if (!(error instanceof HttpError)) throw error;
+      return { ...report, status: 'failed', errors: [{ path: 'images', msg: error.message }] };
+    }
+
+    ({ uploaded } = resolved);
+    product.images = resolved.images.map((image) => image.url);
+    product.imagePublicIds = resolved.images.map((image) => image.publicId);
+  }
+
+  try {
+    // Bookings made since the import started keep their units
+    await product.saveKeepingStock();
+  } catch (error) {
+    await removeImages(uploaded);
+    if (error.code === 11000) {
+      return { ...report, status: 'failed', errors: [{ path: 'sku', msg: 'A product or variant with this SKU already exists' }] };
+    }
+    if (error.name === 'ValidationError') {
+      return { ...report, status: 'failed', errors: toErrors(error) };
+    }
+    throw error;
+  }
+
+  // Images the row no longer lists
+  if (urls) {
+    await removeImages(previous.filter((image) => !product.imagePublicIds.includes(image.publicId)));
+  }
+
+  // Added to the stock as it is now, bookings made meanwhile included
+  if (adjustment !== 0 && !(await Product.adjustStock(product._id, adjustment))) {
+    return {
+      ...report,
+      status: 'updated',
+      productId: product._id,
+      errors: [{ path: 'stockAdjustment', msg: 'Stock was booked meanwhile; the adjustment was not applied' }]
+    };
+  }
+
+  return { ...report, status: creating ? 'created' : 'updated', productId: product._id };
+};
+
+// Import products from a CSV or XLSX file, one product per row. Rows whose
+// id or SKU matches a product update it, with empty cells keeping its values;
+// other rows create products. The stock of existing products only changes by
+// their stockAdjustment, so a stale file cannot give back booked units. Rows
+// are checked with the product routes' rules and the product model; a dry
+// run stops there and only reports. Otherwise each valid row is saved on its
+// own after its new image URLs are fetched into Cloudinary, and rows with
+// errors are skipped.
+// Returns { dryRun, totalRows, valid, created, updated, failed,
+// ignoredColumns, rows }.
+export const importProducts = async (file, { user, dryRun = false }) => {
+  const { rows, ignoredColumns } = await readSpreadsheet(file);
+
+  const skuOf = ({ values }) => String(values.sku || '').trim().toUpperCase();
+  const idOf = ({ values }) => (mongoose.Types.ObjectId.isValid(values._id) ? String(values._id) : '');
+
+  const existing = await Product.find({
+    $or: [
+      { sku: { $in: rows.map(skuOf).filter(Boolean) } },
+      { _id: { $in: rows.map(idOf).filter(Boolean) } }
+    ]
+  });
+  const productsBySku = new Map(existing.filter((product) => product.sku).map((product) => [product.sku, product]));
+  const productsById = new Map(existing.map((product) => [String(product._id), product]));
+
+  // Rows run one at a time: later rows may repeat a product or reuse images
+  const seen = new Set();
+  const reports = [];
+  for (const row of rows) {
+    // The id column (exported for every product) wins over the SKU
+    const product = idOf(row) ? productsById.get(idOf(row)) : productsBySku.get(skuOf(row));
+    const key = product ? String(product._id) : skuOf(row);
+
+    reports.push(await importRow(row, {
+      existing: product,
+      duplicate: Boolean(key) && seen.has(key),
+      user,
+      dryRun
+    }));
+    seen.add(key);
+  }
+
+  const count = (status) => reports.filter((report) => report.status === status).length;
+
+  return {
+    dryRun,
+    totalRows: rows.length,
+    valid: dryRun ? count('valid') : count('created') + count('updated'),
+    created: count('created'),
+    updated: count('updated'),
+    failed: count('failed'),
+    ignoredColumns,
+    rows: reports
+  };
+};
+
+// Cell value of a product field for the export
+const toCell = (product, { path, type }) => {
+  const value = getPath(product, path);
+  if (value == null) return null;
+  if (path === '_id') return String(value);
+
+  switch (type) {
+    case 'list':
+      return value.join(LIST_SEPARATOR);
+    case 'json':
+      if (value.length === 0) return null;
+      return JSON.stringify(value.map(({ _id, sku, attributes, price, originalPrice, stock, images, isActive }) => ({
+        _id,
+        sku,
+        attributes: attributes instanceof Map ? Object.fromEntries(attributes) : attributes,
+        price,
+        originalPrice,
+        stock,
+        images,
+        isActive
+      })));
+    case 'boolean':
+      return String(value);
+    default:
+      return value;
+  }
+};
+
+// The whole catalog, inactive products included, as a CSV or XLSX file in the
+// import's columns. Each row carries the product's id, so products without
+// an SKU are matched again on import, and exported variants keep their _id
+// so that importing the file again updates them rather than replacing them.
+// Returns the file contents.
+export const exportProducts = async (format) => {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('Products');
+  worksheet.addRow(CATALOG_COLUMNS.map(({ header }) => header));
+
+  const products = await Product.find().sort({ createdAt: 1 }).lean();
+  products.forEach((product) => {
+    worksheet.addRow(CATALOG_COLUMNS.map((column) => toCell(product, column)));
+  });
+
+  return format === 'xlsx' ? workbook.xlsx.writeBuffer() : workbook.csv.writeBuffer();
+};
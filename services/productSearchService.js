@@ -0,0 +1,165 @@
+import Product from '../models/Product.js';
+
+// How long the known search words and autocomplete entries are reused
+// before reloading them
+const VOCABULARY_TTL_MS = 10 * 60 * 1000;
+
+let vocabulary = null;
+let vocabularyLoadedAt = 0;
+
+// Lowercase words of a text, split on anything but letters and digits
+const tokenize = (text) => String(text || '')
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(Boolean);
+
+// Edit distance between two words, counting a swap of neighbouring letters
+// as one typo (optimal string alignment). Gives up, returning max + 1, as
+// soon as it exceeds `max`.
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// Typos tolerated in a word: none in short words, where a "correction" is
+// mostly a different word
+const allowedTypos = (word) => {
+  if (word.length <= 4) return 0;
+  return word.length <= 8 ? 1 : 2;
+};
+
+// Words of the searchable fields of active products (`words`), and the
+// products as autocomplete entries, most viewed first, with the words of
+// their names (`entries`) and their brands (`brands`, sorted)
+const loadVocabulary = async () => {
+  if (vocabulary && Date.now() - vocabularyLoadedAt < VOCABULARY_TTL_MS) {
+    return vocabulary;
+  }
+
+  const products = await Product.find({ isActive: true })
+    .select('name category tags features images specifications.brand specifications.model views')
+    .sort({ views: -1 })
+    .lean();
+
+  const words = new Set();
+  const brands = new Set();
+  const entries = products.map((product) => {
+    const brand = product.specifications && product.specifications.brand;
+    [
+      product.name,
+      product.category,
+      brand,
+      product.specifications && product.specifications.model,
+      ...(product.tags || []),
+      ...(product.features || [])
+    ].forEach((text) => tokenize(text).forEach((word) => words.add(word)));
+    if (brand) brands.add(brand);
+
+    return {
+      nameWords: tokenize(product.name),
+      nameLower: product.name.toLowerCase(),
+      suggestion: {
+        _id: product._id,
+        name: product.name,
+        category: product.category,
+        brand,
+        image: product.images && product.images[0]
+      }
+    };
+  });
+
+  vocabulary = { words, entries, brands: [...brands].sort() };
+  vocabularyLoadedAt = Date.now();
+  return vocabulary;
+};
+
+// Replace misspelt words of a search with the closest known word.
+// Returns the corrected search, or null when nothing could be corrected.
+export const correctSearchTerms = async (search) => {
+  const { words } = await loadVocabulary();
+  const terms = tokenize(search);
+  let corrected = false;
+
+  const result = terms.map((term) => {
+    const max = allowedTypos(term);
+    if (max === 0 || words.has(term)) return term;
+
+    let best = null;
+    let bestDistance = max + 1;
+    for (const word of words) {
+      const distance = editDistance(term, word, max);
+      if (distance < bestDistance) {
+        best = word;
+        bestDistance = distance;
+      }
+    }
+
+    if (!best) return term;
+    corrected = true;
+    return best;
+  });
+
+  return corrected ? result.join(' ') : null;
+};
+
+// Product filter for a full-text search on the product text index (name,
+// brand, model, tags, category, features and description)
+export const textSearchFilter = (search) => ({ $text: { $search: String(search).trim() } });
+
+// Autocomplete: active products whose name has a word starting with each
+// word typed, names starting with the query first, and brands starting with
+// one of the words. Served from the cached vocabulary, so typing never
+// queries the database once it is loaded.
+// Falls back to typo-corrected words when nothing matches.
+export const suggestProducts = async (q, { limit = 8 } = {}) => {
+  const { entries, brands } = await loadVocabulary();
+
+  const find = (terms) => {
+    const prefix = terms.join(' ');
+    const matches = entries
+      .filter((entry) => terms.every((term) => entry.nameWords.some((word) => word.startsWith(term))))
+      .slice(0, limit * 3);
+
+    const products = matches
+      .sort((a, b) => Number(b.nameLower.startsWith(prefix)) - Number(a.nameLower.startsWith(prefix)))
+      .slice(0, limit)
+      .map((entry) => entry.suggestion);
+
+    const matchingBrands = brands
+      .filter((brand) => terms.some((term) => brand.toLowerCase().startsWith(term)))
+      .slice(0, limit);
+
+    return { products, brands: matchingBrands };
+  };
+
+  const terms = tokenize(q);
+  if (terms.length === 0) return { products: [], brands: [] };
+
+  const result = find(terms);
+  if (result.products.length > 0 || result.brands.length > 0) return result;
+
+  const corrected = await correctSearchTerms(q);
+  return corrected ? { ...find(tokenize(corrected)), correctedQuery: corrected } : result;
+};
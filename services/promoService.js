@@ -0,0 +1,140 @@
+import Booking from '../models/Booking.js';
+import PromoCode from '../models/PromoCode.js';
+import PromoCodeUsage from '../models/PromoCodeUsage.js';
+import HttpError from '../utils/httpError.js';
+import { roundMoney } from '../utils/pricing.js';
+
+export const normalizePromoCode = (code) => String(code || '').trim().toUpperCase();
+
+// Live (not cancelled) bookings of a user with a promo code
+const countUserUses = async (promo, user, session) => {
+  const usage = await PromoCodeUsage.findOne({ promoCodeId: promo._id, userId: user._id })
+    .session(session || null);
+  if (usage) return usage.count;
+
+  // Uses from before the code was counted per user
+  return Booking.countDocuments({
+    userId: user._id,
+    promoCodeId: promo._id,
+    status: { $ne: 'cancelled' }
+  }).session(session || null);
+};
+
+// Count a use of a promo code by a user inside the booking transaction,
+// unless it would exceed the code's perUserLimit. Codes without a limit are
+// counted too, so a limit set later starts from the right count. The counter
+// starts from the user's existing bookings with the code. Concurrent claims
+// by the same user conflict on the counter, so the transaction retries and
+// sees the other's use.
+// Returns false when the limit is reached.
+const claimUserUse = async (promo, user, session) => {
+  const filter = { promoCodeId: promo._id, userId: user._id };
+
+  if (!(await PromoCodeUsage.exists(filter).session(session))) {
+    const count = await countUserUses(promo, user, session);
+    await PromoCodeUsage.create([{ ...filter, count }], { session });
+  }
+
+  const claimed = await PromoCodeUsage.findOneAndUpdate(
+    promo.perUserLimit != null ? { ...filter, count: { $lt: promo.perUserLimit } } : filter,
+    { $inc: { count: 1 } },
+    { new: true, session }
+  );
+  return Boolean(claimed);
+};
+
+// Check that a promo code can be used by `user` on an order of booking line
+// items and work out its discount. Pass the session when called inside the
+// booking transaction so the usage counts are read consistently.
+// Returns { discount, eligibleAmount }; throws HttpError(400) otherwise.
+export const evaluatePromoCode = async (promo, { user, items, session, now = new Date() }) => {
+  if (!promo || !promo.isActive) {
+    throw new HttpError(400, 'Invalid promo code');
+  }
+
+  if (promo.validFrom && now < promo.validFrom) {
+    throw new HttpError(400, 'This promo code is not active yet');
+  }
+
+  if (promo.validUntil && now > promo.validUntil) {
+    throw new HttpError(400, 'This promo code has expired');
+  }
+
+  if (promo.usageLimit != null && promo.usedCount >= promo.usageLimit) {
+    throw new HttpError(400, 'This promo code has reached its usage limit');
+  }
+
+  const orderAmount = roundMoney(items.reduce((sum, item) => sum + item.totalAmount, 0));
+  if (orderAmount < promo.minOrderValue) {
+    throw new HttpError(
+      400,
+      `This promo code needs a minimum order value of ₹${promo.minOrderValue.toLocaleString('en-IN')}`
+    );
+  }
+
+  const eligibleAmount = roundMoney(items
+    .filter((item) => promo.appliesTo(item))
+    .reduce((sum, item) => sum + item.totalAmount, 0));
+
+  if (eligibleAmount === 0) {
+    throw new HttpError(400, 'This promo code does not apply to the products in your order');
+  }
+
+  if (user && promo.perUserLimit != null) {
+    const used = await countUserUses(promo, user, session);
+    if (used >= promo.perUserLimit) {
+      throw new HttpError(400, 'You have already used this promo code');
+    }
+  }
+
+  return { discount: promo.computeDiscount(eligibleAmount), eligibleAmount };
+};
+
+// Look up and evaluate a promo code for an order without using it.
+// Returns { promo, discount, eligibleAmount }.
+export const previewPromoCode = async (code, { user, items }) => {
+  const promo = await PromoCode.findOne({ code: normalizePromoCode(code) });
+  const result = await evaluatePromoCode(promo, { user, items });
+  return { promo, ...result };
+};
+
+// Use a promo code for a booking inside its transaction: re-evaluate it and
+// count the use, respecting the total and per-user limits even under
+// concurrent bookings. Returns { promo, discount }.
+export const claimPromoCode = async (code, { user, items, session }) => {
+  const promo = await PromoCode.findOne({ code: normalizePromoCode(code) }).session(session);
+  const { discount } = await evaluatePromoCode(promo, { user, items, session });
+
+  const filter = { _id: promo._id };
+  if (promo.usageLimit != null) {
+    filter.usedCount = { $lt: promo.usageLimit };
+  }
+
+  const claimed = await PromoCode.findOneAndUpdate(filter, { $inc: { usedCount: 1 } }, { new: true, session });
+  if (!claimed) {
+    throw new HttpError(400, 'This promo code has reached its usage limit');
+  }
+
+  if (user && !(await claimUserUse(promo, user, session))) {
+    throw new HttpError(400, 'You have already used this promo code');
+  }
+
+  return { promo: claimed, discount };
+};
+
+// Give the promo code use of a booking back, e.g. when it is cancelled
+export const releasePromoCode = async (booking, session) => {
+  if (!booking.promoCodeId) return;
+
+  await PromoCode.updateOne(
+    { _id: booking.promoCodeId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } },
+    { session }
+  );
+
+  await PromoCodeUsage.updateOne(
+    { promoCodeId: booking.promoCodeId, userId: booking.userId, count: { $gt: 0 } },
+    { $inc: { count: -1 } },
+    { session }
+  );
+};
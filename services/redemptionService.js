@@ -0,0 +1,81 @@
+import jwt from 'jsonwebtoken';
+import QRCode from 'qrcode';
+import Booking from '../models/Booking.js';
+import HttpError from '../utils/httpError.js';
+import { changeBookingStatus } from './bookingService.js';
+
+// Statuses in which a booking can still be collected at the counter
+export const REDEEMABLE_STATUSES = ['confirmed', 'ready_for_pickup', 'out_for_delivery'];
+
+// Audience claim that keeps redemption tokens and login tokens apart
+const TOKEN_AUDIENCE = 'booking-redeem';
+
+const getSecret = () => process.env.REDEEM_TOKEN_SECRET || process.env.JWT_SECRET;
+
+// Sign a token identifying a booking, to be encoded in its QR code
+export const createRedemptionToken = (booking) => {
+  return jwt.sign(
+    { bookingId: booking._id.toString(), couponCode: booking.couponCode },
+    getSecret(),
+    { audience: TOKEN_AUDIENCE }
+  );
+};
+
+// Verify a scanned token and return its payload.
+// Throws HttpError 400 when the signature or audience does not match.
+export const verifyRedemptionToken = (token) => {
+  try {
+    return jwt.verify(token, getSecret(), { audience: TOKEN_AUDIENCE });
+  } catch (error) {
+    throw new HttpError(400, 'Invalid or tampered QR code');
+  }
+};
+
+// Render a token as a QR code: a PNG buffer or an SVG string
+export const renderQrCode = (token, format = 'png') => {
+  const options = { errorCorrectionLevel: 'M', margin: 2, width: 320 };
+
+  if (format === 'svg') {
+    return QRCode.toString(token, { ...options, type: 'svg' });
+  }
+  return QRCode.toBuffer(token, { ...options, type: 'png' });
+};
+
+// Redeem a booking at the counter from a scanned token or a typed coupon code
+// and mark it completed. The status change runs in a transaction that
+// re-reads the booking, so the same code can never be redeemed twice.
+export const redeemBooking = async ({ token, couponCode, user }) => {
+  let bookingId;
+  let expectedCode;
+
+  if (token) {
+    const payload = verifyRedemptionToken(token);
+    bookingId = payload.bookingId;
+    expectedCode = payload.couponCode;
+  } else {
+    const booking = await Booking.findOne({ couponCode: couponCode.toUpperCase() }).select('_id couponCode');
+    if (!booking) {
+      throw new HttpError(404, 'Booking not found with this coupon code');
+    }
+    bookingId = booking._id;
+    expectedCode = booking.couponCode;
+  }
+
+  return changeBookingStatus(bookingId, 'completed', {
+    user,
+    reason: 'Redeemed in store',
+    authorize: (booking) => {
+      if (booking.couponCode !== expectedCode) {
+        throw new HttpError(400, 'QR code does not match this booking');
+      }
+
+      if (booking.status === 'completed') {
+        throw new HttpError(409, 'Coupon code has already been redeemed', { redeemedAt: booking.completedAt });
+      }
+
+      if (!REDEEMABLE_STATUSES.includes(booking.status)) {
+        throw new HttpError(409, `Booking is ${booking.status.replace(/_/g, ' ')} and cannot be redeemed`);
+      }
+    }
+  });
+};
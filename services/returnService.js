@@ -0,0 +1,244 @@
+import mongoose from 'mongoose';
+import Booking from '../models/Booking.js';
+import Product from '../models/Product.js';
+import ReturnRequest, { OPEN_RETURN_STATUSES } from '../models/ReturnRequest.js';
+import StoreSettings from '../models/StoreSettings.js';
+import HttpError from '../utils/httpError.js';
+import { roundMoney } from '../utils/pricing.js';
+
+// Whether a booking line item and a returned item are the same product and
+// variant
+const isSameLine = (line, item) => line.productId.toString() === String(item.productId)
+  && String(line.variantId || '') === String(item.variantId || '');
+
+// Units of a line item that earlier returns have not brought back
+const unreturnedQuantity = (line) => line.quantity - (line.returnedQuantity || 0);
+
+// Work out which line items (and how many units) are being returned.
+// `requested` is [{ productId, variantId, quantity }] (variantId for products
+// sold in variants); when empty everything not returned yet is
+// returned. Each item carries its value at the unit price paid, less its
+// share of any promo discount.
+const resolveReturnItems = (booking, requested) => {
+  const lineItems = booking.lineItems;
+  const itemsTotal = lineItems.reduce((sum, item) => sum + item.totalAmount, 0);
+  const paidShare = itemsTotal > 0 ? booking.totalAmount / itemsTotal : 1;
+
+  const returnItem = (line, quantity) => ({
+    productId: line.productId,
+    productName: line.productName,
+    variantId: line.variantId,
+    variantName: line.variantName,
+    quantity,
+    amount: roundMoney((line.totalAmount / line.quantity) * quantity * paidShare)
+  });
+
+  if (!requested || requested.length === 0) {
+    return lineItems
+      .filter((line) => unreturnedQuantity(line) > 0)
+      .map((line) => returnItem(line, unreturnedQuantity(line)));
+  }
+
+  return requested.map(({ productId, variantId, quantity }) => {
+    const line = lineItems.find((item) => isSameLine(item, { productId, variantId }));
+    const qty = Number(quantity);
+
+    if (!line) {
+      throw new HttpError(400, 'Returned product is not part of this booking');
+    }
+    const returnable = unreturnedQuantity(line);
+    if (returnable < 1) {
+      throw new HttpError(400, `${line.productName} has already been returned`);
+    }
+    if (!Number.isInteger(qty) || qty < 1 || qty > returnable) {
+      throw new HttpError(400, `Quantity for ${line.productName} must be between 1 and ${returnable}`);
+    }
+
+    return returnItem(line, qty);
+  });
+};
+
+// Count the units of `items` as returned, on their booking line items and in
+// the booking's total. Bookings created before `items` existed only have
+// the total.
+const recordReturnedUnits = (booking, items) => {
+  items.forEach((item) => {
+    const line = booking.items.find((candidate) => isSameLine(candidate, item));
+    if (line) {
+      line.returnedQuantity = (line.returnedQuantity || 0) + item.quantity;
+    }
+    booking.returnedQuantity = (booking.returnedQuantity || 0) + item.quantity;
+  });
+};
+
+// Open a return request for a completed booking of the user
+export const createReturnRequest = async ({ user, bookingId, reason, description, items, photos = [], photoPublicIds = [] }) => {
+  const booking = mongoose.Types.ObjectId.isValid(bookingId) ? await Booking.findById(bookingId) : null;
+
+  if (!booking) {
+    throw new HttpError(404, 'Booking not found');
+  }
+
+  if (booking.userId.toString() !== user._id.toString()) {
+    throw new HttpError(403, 'Not authorized to return this booking');
+  }
+
+  if (booking.status !== 'completed') {
+    throw new HttpError(400, 'Only completed bookings can be returned');
+  }
+
+  const { returnPolicy } = await StoreSettings.get();
+  const deadline = new Date(booking.completedAt.getTime() + returnPolicy.windowDays * 24 * 60 * 60 * 1000);
+  if (new Date() > deadline) {
+    throw new HttpError(400, `Returns must be requested within ${returnPolicy.windowDays} day(s) of purchase`);
+  }
+
+  const open = await ReturnRequest.exists({ bookingId: booking._id, status: { $in: OPEN_RETURN_STATUSES } });
+  if (open) {
+    throw new HttpError(409, 'A return request is already open for this booking');
+  }
+
+  try {
+    return await ReturnRequest.create({
+      bookingId: booking._id,
+      userId: user._id,
+      items: resolveReturnItems(booking, items),
+      reason,
+      description,
+      photos,
+      photoPublicIds
+    });
+  } catch (error) {
+    // A concurrent request for the same booking was created first
+    if (error.code === 11000) {
+      throw new HttpError(409, 'A return request is already open for this booking');
+    }
+    throw error;
+  }
+};
+
+// Load a return request and check it may move to `newStatus`
+const loadForTransition = async (returnId, newStatus, session) => {
+  if (!mongoose.Types.ObjectId.isValid(returnId)) {
+    throw new HttpError(400, 'Invalid return request ID');
+  }
+
+  const request = await ReturnRequest.findById(returnId).session(session || null);
+  if (!request) {
+    throw new HttpError(404, 'Return request not found');
+  }
+
+  if (!request.canTransitionTo(newStatus)) {
+    throw new HttpError(400, `Cannot move a ${request.status} return request to ${newStatus}`);
+  }
+
+  return request;
+};
+
+// Accept a return request; the customer can now bring the item back
+export const approveReturn = async (returnId, { user, note }) => {
+  const request = await loadForTransition(returnId, 'approved');
+  request.setStatus('approved', { changedBy: user._id, note });
+  return request.save();
+};
+
+// Decline a return request
+export const rejectReturn = async (returnId, { user, reason }) => {
+  const request = await loadForTransition(returnId, 'rejected');
+  request.rejectionReason = reason;
+  request.setStatus('rejected', { changedBy: user._id, note: reason });
+  return request.save();
+};
+
+// Apply `work(request, booking)` to a return request moving to `newStatus`
+// and to its booking in one transaction. Both are re-read in the transaction
+// so that a request is never restocked or refunded twice; `work` saves the
+// booking, the request is saved after it.
+const updateWithBooking = async (returnId, newStatus, work) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let request;
+    let booking;
+
+    await session.withTransaction(async () => {
+      request = await loadForTransition(returnId, newStatus, session);
+      booking = await Booking.findById(request.bookingId).session(session);
+
+      if (!booking) {
+        throw new HttpError(404, 'Booking not found');
+      }
+
+      await work(request, booking, session);
+      await request.save({ session });
+    });
+
+    return { returnRequest: request, booking };
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Record that the returned items were received and inspected. Unless told
+// not to (e.g. the unit is beyond repair), the returned units go back into
+// stock. The units are counted as returned on the booking, which becomes
+// 'returned' in the same transaction once all of its units have come back
+// and stays completed until then.
+export const inspectReturn = (returnId, { user, inspectionNotes, restock = true, refundAmount }) => (
+  updateWithBooking(returnId, 'inspected', async (request, booking, session) => {
+    // Other returns of the booking may have been inspected since this one
+    // was requested
+    for (const item of request.items) {
+      const line = booking.lineItems.find((candidate) => isSameLine(candidate, item));
+      const returnable = line ? unreturnedQuantity(line) : 0;
+      if (returnable < item.quantity) {
+        throw new HttpError(409, `Only ${returnable} unit(s) of ${item.productName} are left to return`);
+      }
+    }
+
+    if (restock) {
+      for (const item of request.items) {
+        await Product.releaseStock(item.productId, item.quantity, session, item.variantId);
+      }
+    }
+
+    request.inspectionNotes = inspectionNotes;
+    request.restocked = restock;
+    request.refundAmount = refundAmount !== undefined ? refundAmount : request.itemsAmount;
+    request.setStatus('inspected', { changedBy: user._id, note: inspectionNotes });
+
+    recordReturnedUnits(booking, request.items);
+    if (booking.lineItems.every((line) => unreturnedQuantity(line) <= 0)) {
+      await booking.updateStatus('returned', { changedBy: user._id, reason: 'Return received' });
+    } else {
+      await booking.save();
+    }
+  })
+);
+
+// Record the refund paid for an inspected return. It adds to the booking's
+// refunded amount; a booking whose units have all been returned becomes
+// 'refunded' in the same transaction.
+export const refundReturn = (returnId, { user, refundAmount, refundReference }) => (
+  updateWithBooking(returnId, 'refunded', async (request, booking) => {
+    const amount = refundAmount !== undefined ? refundAmount : request.refundAmount;
+    const refunded = roundMoney((booking.refundAmount || 0) + amount);
+    if (refunded > booking.totalAmount) {
+      throw new HttpError(400, 'Refunds cannot exceed the booking total');
+    }
+
+    request.refundAmount = amount;
+    request.refundReference = refundReference;
+    request.setStatus('refunded', { changedBy: user._id, note: refundReference });
+
+    booking.refundAmount = refunded;
+    if (booking.status === 'returned') {
+      await booking.updateStatus('refunded', {
+        changedBy: user._id,
+        reason: refundReference ? `Refund ${refundReference}` : 'Refund issued'
+      });
+    } else {
+      await booking.save();
+    }
+  })
+);
@@ -0,0 +1,119 @@
+import mongoose from 'mongoose';
+import Booking from '../models/Booking.js';
+import Product from '../models/Product.js';
+import Review from '../models/Review.js';
+import HttpError from '../utils/httpError.js';
+
+// Recompute a product's averageRating (to one decimal) and reviewCount from
+// its approved reviews
+export const refreshProductRating = async (productId, session) => {
+  const [stats] = await Review.aggregate([
+    { $match: { productId: new mongoose.Types.ObjectId(productId), status: 'approved' } },
+    { $group: { _id: null, averageRating: { $avg: '$rating' }, reviewCount: { $sum: 1 } } }
+  ]).session(session || null);
+
+  await Product.updateOne(
+    { _id: productId },
+    {
+      $set: {
+        averageRating: stats ? Math.round(stats.averageRating * 10) / 10 : 0,
+        reviewCount: stats ? stats.reviewCount : 0
+      }
+    },
+    { session }
+  );
+};
+
+// Post a review of a product the user bought. The user needs a completed
+// booking with the product; the review waits for moderation.
+export const createReview = async ({ user, productId, rating, title, text, photos = [], photoPublicIds = [] }) => {
+  const product = mongoose.Types.ObjectId.isValid(productId) ? await Product.findById(productId) : null;
+
+  if (!product || !product.isActive) {
+    throw new HttpError(404, 'Product not found');
+  }
+
+  // Bookings made before multi-item support only have the top-level product
+  const booking = await Booking.findOne({
+    userId: user._id,
+    status: 'completed',
+    $or: [{ 'items.productId': product._id }, { productId: product._id }]
+  }).sort({ completedAt: -1 });
+
+  if (!booking) {
+    throw new HttpError(403, 'Only customers who have bought this product can review it');
+  }
+
+  if (await Review.exists({ productId: product._id, userId: user._id })) {
+    throw new HttpError(409, 'You have already reviewed this product');
+  }
+
+  try {
+    return await Review.create({
+      productId: product._id,
+      userId: user._id,
+      bookingId: booking._id,
+      rating,
+      title,
+      text,
+      photos,
+      photoPublicIds
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new HttpError(409, 'You have already reviewed this product');
+    }
+    throw error;
+  }
+};
+
+// Approve or hide a review and update the product's rating with it
+export const moderateReview = async (reviewId, status, { user, note }) => {
+  if (!mongoose.Types.ObjectId.isValid(reviewId)) {
+    throw new HttpError(400, 'Invalid review ID');
+  }
+
+  const session = await mongoose.startSession();
+
+  try {
+    let review;
+
+    await session.withTransaction(async () => {
+      review = await Review.findById(reviewId).session(session);
+
+      if (!review) {
+        throw new HttpError(404, 'Review not found');
+      }
+
+      if (!review.canTransitionTo(status)) {
+        throw new HttpError(400, `Review is already ${review.status}`);
+      }
+
+      review.status = status;
+      review.moderatedBy = user._id;
+      review.moderatedAt = new Date();
+      review.moderationNote = note;
+      await review.save({ session });
+
+      await refreshProductRating(review.productId, session);
+    });
+
+    return review;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Number of approved reviews of a product per star rating, 1 to 5
+export const getRatingDistribution = async (productId) => {
+  const counts = await Review.aggregate([
+    { $match: { productId: new mongoose.Types.ObjectId(productId), status: 'approved' } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  counts.forEach(({ _id, count }) => {
+    distribution[_id] = count;
+  });
+  return distribution;
+};
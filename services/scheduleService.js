@@ -0,0 +1,121 @@
+import PickupSlot from '../models/PickupSlot.js';
+import StoreSettings from '../models/StoreSettings.js';
+import store from '../config/store.js';
+import {
+  addDays,
+  formatTime,
+  getWeekday,
+  getZonedParts,
+  parseTime,
+  zonedTimeToUtc
+} from '../utils/time.js';
+
+// Describe the pickup slots of one store-local date ('YYYY-MM-DD').
+// Returns { date, open, reason, slots } where each slot has start/end
+// instants and an 'HH:MM-HH:MM' label.
+export const getDaySchedule = (date, schedule) => {
+  const holiday = schedule.holidays.find((item) => item.date === date);
+  if (holiday) {
+    return { date, open: false, reason: holiday.reason || 'Store holiday', slots: [] };
+  }
+
+  const hours = schedule.openingHours.find((item) => item.day === getWeekday(date));
+  if (!hours || hours.closed) {
+    return { date, open: false, reason: 'Store is closed on this day', slots: [] };
+  }
+
+  const open = parseTime(hours.open);
+  const close = parseTime(hours.close);
+  const slots = [];
+
+  for (let minutes = open; minutes + schedule.slotMinutes <= close; minutes += schedule.slotMinutes) {
+    slots.push({
+      start: zonedTimeToUtc(date, minutes, store.timezone),
+      end: zonedTimeToUtc(date, minutes + schedule.slotMinutes, store.timezone),
+      label: `${formatTime(minutes)}-${formatTime(minutes + schedule.slotMinutes)}`
+    });
+  }
+
+  return { date, open: true, openTime: hours.open, closeTime: hours.close, slots };
+};
+
+// Slots of a date with their remaining capacity
+export const getAvailableSlots = async (date, now = new Date()) => {
+  const { schedule } = await StoreSettings.get();
+  const day = getDaySchedule(date, schedule);
+  const today = getZonedParts(now, store.timezone).date;
+
+  if (date > addDays(today, schedule.maxAdvanceDays)) {
+    return {
+      ...day,
+      open: false,
+      reason: `Bookings can be made at most ${schedule.maxAdvanceDays} days ahead`,
+      slots: []
+    };
+  }
+
+  const taken = await PickupSlot.find({ _id: { $in: day.slots.map((slot) => slot.start) } }).lean();
+  const bookedByStart = new Map(taken.map((slot) => [slot._id.getTime(), slot.booked]));
+
+  return {
+    ...day,
+    slots: day.slots.map((slot) => {
+      const booked = bookedByStart.get(slot.start.getTime()) || 0;
+      const available = Math.max(schedule.slotCapacity - booked, 0);
+
+      return {
+        ...slot,
+        capacity: schedule.slotCapacity,
+        booked,
+        available,
+        isAvailable: available > 0 && slot.start > now
+      };
+    })
+  };
+};
+
+// Map a requested pickup time onto its slot and check the store is open then.
+// Returns { slot, capacity } or { status, message } describing the problem.
+// Capacity itself is enforced when the slot is reserved.
+export const resolvePickupSlot = async (bookingDate, now = new Date()) => {
+  const requested = new Date(bookingDate);
+
+  if (Number.isNaN(requested.getTime())) {
+    return { status: 400, message: 'Booking date must be a valid date' };
+  }
+
+  // A bare date carries no time of day to pick a slot from
+  if (/^\d{4}-\d{2}-\d{2}$/.test(String(bookingDate))) {
+    return { status: 400, message: 'Please choose a pickup time slot for this date' };
+  }
+
+  if (requested <= now) {
+    return { status: 400, message: 'Booking date cannot be in the past' };
+  }
+
+  const { schedule } = await StoreSettings.get();
+  const local = getZonedParts(requested, store.timezone);
+  const today = getZonedParts(now, store.timezone).date;
+
+  if (local.date > addDays(today, schedule.maxAdvanceDays)) {
+    return {
+      status: 400,
+      message: `Bookings can be made at most ${schedule.maxAdvanceDays} days ahead`
+    };
+  }
+
+  const day = getDaySchedule(local.date, schedule);
+  if (!day.open) {
+    return { status: 400, message: `${day.reason}. Please choose another date.` };
+  }
+
+  const slot = day.slots.find((item) => requested >= item.start && requested < item.end);
+  if (!slot) {
+    return {
+      status: 400,
+      message: `Pickup time is outside opening hours (${day.openTime}-${day.closeTime})`
+    };
+  }
+
+  return { slot, capacity: schedule.slotCapacity };
+};
@@ -0,0 +1,101 @@
+import config from '../config/tax.js';
+import { GST_STATES, resolveStateCode } from '../utils/gstStates.js';
+import { roundMoney } from '../utils/pricing.js';
+
+// HSN code and GST rate of a product, falling back to its category's default
+export const getProductTax = (product) => {
+  const category = config.categories[product.category] || {};
+
+  let gstRate = config.defaultRate;
+  if (product.gstRate != null) {
+    gstRate = product.gstRate;
+  } else if (category.gstRate != null) {
+    gstRate = category.gstRate;
+  }
+
+  return { hsnCode: product.hsnCode || category.hsnCode, gstRate };
+};
+
+// Place of supply for a customer's state (name or GST code). Unknown or
+// missing states are treated as a sale at the store. Supplies to another
+// state are inter-state and charged IGST.
+export const resolvePlaceOfSupply = (customerState) => {
+  const code = resolveStateCode(customerState) || config.storeStateCode;
+
+  return {
+    placeOfSupply: code || undefined,
+    placeOfSupplyName: code ? GST_STATES[code] : undefined,
+    supplyType: code && config.storeStateCode && code !== config.storeStateCode
+      ? 'inter_state'
+      : 'intra_state'
+  };
+};
+
+// Split an order-level discount over the lines in proportion to their value.
+// The last line takes the rounding remainder so the shares add up exactly.
+const allocateDiscount = (lines, discount) => {
+  const total = lines.reduce((sum, line) => sum + line.totalAmount, 0);
+  let remaining = discount;
+
+  return lines.map((line, index) => {
+    if (index === lines.length - 1 || total === 0) return roundMoney(remaining);
+
+    const share = roundMoney(discount * (line.totalAmount / total));
+    remaining -= share;
+    return share;
+  });
+};
+
+// Compute GST on booking line items for the customer's state.
+// With tax-inclusive prices the GST is contained in the line totals; with
+// tax-exclusive prices it is charged on top. A promo discount reduces the
+// taxable value of the lines in proportion to their value.
+// Returns { lines, summary }: per line { hsnCode, gstRate, taxableValue,
+// cgst, sgst, igst } in the order given, and the order's totals.
+export const computeOrderTax = (lines, {
+  promoDiscount = 0,
+  customerState,
+  pricesIncludeTax = config.pricesIncludeTax
+} = {}) => {
+  const supply = resolvePlaceOfSupply(customerState);
+  const discounts = allocateDiscount(lines, promoDiscount);
+
+  const taxLines = lines.map((line, index) => {
+    const gstRate = line.gstRate != null ? line.gstRate : config.defaultRate;
+    const value = roundMoney(line.totalAmount - discounts[index]);
+
+    const taxableValue = pricesIncludeTax ? roundMoney(value / (1 + gstRate / 100)) : value;
+    const tax = pricesIncludeTax
+      ? roundMoney(value - taxableValue)
+      : roundMoney(taxableValue * (gstRate / 100));
+
+    const cgst = supply.supplyType === 'intra_state' ? roundMoney(tax / 2) : 0;
+    const sgst = supply.supplyType === 'intra_state' ? roundMoney(tax - cgst) : 0;
+    const igst = supply.supplyType === 'inter_state' ? tax : 0;
+
+    return { hsnCode: line.hsnCode, gstRate, taxableValue, cgst, sgst, igst };
+  });
+
+  const sum = (field) => roundMoney(taxLines.reduce((total, line) => total + line[field], 0));
+  const summary = {
+    pricesIncludeTax,
+    ...supply,
+    taxableValue: sum('taxableValue'),
+    cgst: sum('cgst'),
+    sgst: sum('sgst'),
+    igst: sum('igst')
+  };
+  summary.totalTax = roundMoney(summary.cgst + summary.sgst + summary.igst);
+
+  return { lines: taxLines, summary };
+};
+
+// Add the GST breakdown to order totals. With tax-exclusive prices the GST is
+// added to totalAmount, which is always what the customer pays.
+export const applyTax = (totals, { summary }) => ({
+  ...totals,
+  totalAmount: summary.pricesIncludeTax
+    ? totals.totalAmount
+    : roundMoney(totals.totalAmount + summary.totalTax),
+  tax: summary
+});
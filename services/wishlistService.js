@@ -0,0 +1,110 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import ProductLike from '../models/ProductLike.js';
+import HttpError from '../utils/httpError.js';
+
+// Product fields shown on the wishlist
+const WISHLIST_PRODUCT_FIELDS = 'name price originalPrice discount images category condition type availability stock isActive likes specifications.brand';
+
+// Add or remove a like and keep the product's like count in step with it,
+// in one transaction. Liking twice or removing a missing like changes
+// nothing. Returns { liked, likes }.
+const setLike = async (user, productId, liked) => {
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    throw new HttpError(400, 'Invalid product ID');
+  }
+
+  const session = await mongoose.startSession();
+
+  try {
+    let product;
+
+    await session.withTransaction(async () => {
+      product = await Product.findById(productId).session(session);
+
+      if (!product || (liked && !product.isActive)) {
+        throw new HttpError(404, 'Product not found');
+      }
+
+      const key = { userId: user._id, productId: product._id };
+      let changed;
+
+      if (liked) {
+        const result = await ProductLike.updateOne(key, { $setOnInsert: key }, { upsert: true, session });
+        changed = result.upsertedCount > 0;
+      } else {
+        const result = await ProductLike.deleteOne(key, { session });
+        changed = result.deletedCount > 0;
+      }
+
+      if (changed) {
+        const filter = liked ? { _id: product._id } : { _id: product._id, likes: { $gt: 0 } };
+        product = (await Product.findOneAndUpdate(
+          filter,
+          { $inc: { likes: liked ? 1 : -1 } },
+          { new: true, session }
+        )) || product;
+      }
+    });
+
+    return { liked, likes: product.likes };
+  } finally {
+    await session.endSession();
+  }
+};
+
+export const likeProduct = (user, productId) => setLike(user, productId, true);
+
+export const unlikeProduct = (user, productId) => setLike(user, productId, false);
+
+// Set every product's like count to its number of likes, e.g. to drop
+// anonymous likes counted before the wishlist existed. Returns the number of
+// products changed.
+export const recountProductLikes = async () => {
+  const counts = await ProductLike.aggregate([
+    { $group: { _id: '$productId', count: { $sum: 1 } } }
+  ]);
+  const countById = new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+
+  const products = await Product.find().select('likes').lean();
+  const updates = products
+    .filter((product) => (product.likes || 0) !== (countById.get(product._id.toString()) || 0))
+    .map((product) => ({
+      updateOne: {
+        filter: { _id: product._id },
+        update: { $set: { likes: countById.get(product._id.toString()) || 0 } }
+      }
+    }));
+
+  if (updates.length > 0) {
+    await Product.bulkWrite(updates);
+  }
+  return updates.length;
+};
+
+// Ids (as strings) of the given products the user has liked
+export const findLikedProductIds = async (userId, productIds) => {
+  const likes = await ProductLike.find({ userId, productId: { $in: productIds } }).select('productId').lean();
+  return new Set(likes.map((like) => like.productId.toString()));
+};
+
+// A page of the user's wishlist, most recently saved first, with the
+// products' current price and availability.
+// Returns { items: [{ product, likedAt }], total }.
+export const getWishlist = async (userId, { page = 1, limit = 20 } = {}) => {
+  const [likes, total] = await Promise.all([
+    ProductLike.find({ userId })
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('productId', WISHLIST_PRODUCT_FIELDS)
+      .lean(),
+    ProductLike.countDocuments({ userId })
+  ]);
+
+  const items = likes
+    .filter((like) => like.productId)
+    .map((like) => ({ product: like.productId, likedAt: like.createdAt }));
+
+  return { items, total };
+};
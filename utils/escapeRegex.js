@@ -0,0 +1,4 @@
+// Escape user input for safe use inside a RegExp / MongoDB $regex
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export default escapeRegex;
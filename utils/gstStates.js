@@ -0,0 +1,75 @@
+// GST state codes (first two digits of a GSTIN) and their names
+export const GST_STATES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh'
+};
+
+// Older or common alternative names
+const ALIASES = {
+  'new delhi': '07',
+  'nct of delhi': '07',
+  orissa: '21',
+  pondicherry: '34',
+  uttaranchal: '05',
+  'daman and diu': '26',
+  'dadra and nagar haveli': '26'
+};
+
+const normalize = (value) => String(value)
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const CODES_BY_NAME = Object.entries(GST_STATES).reduce((map, [code, name]) => {
+  map[normalize(name)] = code;
+  return map;
+}, { ...ALIASES });
+
+// Map a state name ("Tamil Nadu", "tamil nadu") or GST code ("33", "3")
+// to its two-digit GST state code. Returns null when not recognised.
+export const resolveStateCode = (value) => {
+  if (value == null || value === '') return null;
+
+  const text = String(value).trim();
+  if (/^\d{1,2}$/.test(text)) {
+    const code = text.padStart(2, '0');
+    return GST_STATES[code] ? code : null;
+  }
+
+  return CODES_BY_NAME[normalize(text)] || null;
+};
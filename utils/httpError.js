@@ -0,0 +1,11 @@
+// Error carrying an HTTP status code.
+// Thrown from code that cannot respond directly (e.g. inside a MongoDB
+// transaction callback) and turned into a JSON response by the route.
+export default class HttpError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
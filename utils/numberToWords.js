@@ -0,0 +1,63 @@
+// Convert amounts to words using the Indian numbering system
+// (thousand, lakh, crore), as required on GST invoices.
+
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine',
+  'Ten', 'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen',
+  'Seventeen', 'Eighteen', 'Nineteen'
+];
+
+const TENS = [
+  '', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'
+];
+
+// Words for 0-99
+const twoDigits = (n) => {
+  if (n < 20) return ONES[n];
+  return [TENS[Math.floor(n / 10)], ONES[n % 10]].filter(Boolean).join(' ');
+};
+
+// Words for 0-999
+const threeDigits = (n) => {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  return [
+    hundreds ? `${ONES[hundreds]} Hundred` : '',
+    rest ? twoDigits(rest) : ''
+  ].filter(Boolean).join(' ');
+};
+
+// Words for a non-negative integer
+export const integerToWords = (value) => {
+  let n = Math.floor(value);
+  if (n === 0) return 'Zero';
+
+  const parts = [];
+
+  const crore = Math.floor(n / 10000000);
+  n %= 10000000;
+  const lakh = Math.floor(n / 100000);
+  n %= 100000;
+  const thousand = Math.floor(n / 1000);
+  n %= 1000;
+
+  // Amounts above 99 crore are expressed as "<n> Crore"
+  if (crore) parts.push(`${integerToWords(crore)} Crore`);
+  if (lakh) parts.push(`${twoDigits(lakh)} Lakh`);
+  if (thousand) parts.push(`${twoDigits(thousand)} Thousand`);
+  if (n) parts.push(threeDigits(n));
+
+  return parts.join(' ');
+};
+
+// "Indian Rupees Forty Five Thousand and Fifty Paise Only"
+export const amountToWords = (amount) => {
+  const paise = Math.round(amount * 100) % 100;
+  const rupees = Math.floor(Math.round(amount * 100) / 100);
+
+  let words = `Indian Rupees ${integerToWords(rupees)}`;
+  if (paise) {
+    words += ` and ${twoDigits(paise)} Paise`;
+  }
+  return `${words} Only`;
+};
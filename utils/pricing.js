@@ -0,0 +1,117 @@
+// Server-side pricing for bookings.
+// All money values on a booking are derived from the Product document so the
+// client can never dictate what it pays.
+
+// Client-supplied totals within this many rupees of ours are accepted
+const PRICE_TOLERANCE = 0.01;
+
+// Booking fields that are computed here and may be echoed back by the client
+export const PRICING_FIELDS = [
+  'actualPrice',
+  'strikePrice',
+  'sellingPrice',
+  'totalAmount',
+  'discountPercentage'
+];
+
+// Round a money value to paise
+export const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Work out the unit selling price and MRP for a product.
+// `price` is what the store charges; `originalPrice` is the struck-through MRP.
+// When only `originalPrice` and `discount` are set the selling price is derived.
+export const getUnitPrices = (product) => {
+  let sellingPrice = product.price;
+
+  if (sellingPrice == null && product.originalPrice != null) {
+    sellingPrice = product.originalPrice * (1 - (product.discount || 0) / 100);
+  }
+
+  if (sellingPrice == null) {
+    return null;
+  }
+
+  sellingPrice = roundMoney(sellingPrice);
+
+  const strikePrice = roundMoney(
+    product.originalPrice != null && product.originalPrice > sellingPrice
+      ? product.originalPrice
+      : sellingPrice
+  );
+
+  return { sellingPrice, strikePrice };
+};
+
+// Compute the full pricing breakdown for `quantity` units of a product.
+// Returns null when the product has no price ("Contact for price").
+//
+//   strikePrice        unit MRP shown struck through
+//   sellingPrice       unit price actually charged
+//   actualPrice        strikePrice x quantity (what it would cost at MRP)
+//   totalAmount        sellingPrice x quantity (what the customer pays)
+//   discountPercentage saving relative to MRP
+export const computeBookingPricing = (product, quantity) => {
+  const unit = getUnitPrices(product);
+  if (!unit) {
+    return null;
+  }
+
+  const { sellingPrice, strikePrice } = unit;
+  const discountPercentage = strikePrice > 0
+    ? roundMoney(((strikePrice - sellingPrice) / strikePrice) * 100)
+    : 0;
+
+  return {
+    quantity,
+    strikePrice,
+    sellingPrice,
+    actualPrice: roundMoney(strikePrice * quantity),
+    totalAmount: roundMoney(sellingPrice * quantity),
+    discountPercentage,
+    savings: roundMoney((strikePrice - sellingPrice) * quantity)
+  };
+};
+
+// Sum the pricing of several line items into order totals.
+// discountPercentage is the overall saving relative to the combined MRP.
+export const computeOrderTotals = (lines) => {
+  const quantity = lines.reduce((sum, line) => sum + line.quantity, 0);
+  const actualPrice = roundMoney(lines.reduce((sum, line) => sum + line.actualPrice, 0));
+  const totalAmount = roundMoney(lines.reduce((sum, line) => sum + line.totalAmount, 0));
+
+  return {
+    quantity,
+    actualPrice,
+    totalAmount,
+    discountPercentage: actualPrice > 0
+      ? roundMoney(((actualPrice - totalAmount) / actualPrice) * 100)
+      : 0,
+    savings: roundMoney(actualPrice - totalAmount)
+  };
+};
+
+// Take a promo code discount off booking or order pricing. The product
+// discountPercentage is kept; the promo saving is reported separately.
+export const applyPromoDiscount = (pricing, promoCode, promoDiscount) => ({
+  ...pricing,
+  promoCode,
+  promoDiscount,
+  totalAmount: roundMoney(pricing.totalAmount - promoDiscount),
+  savings: roundMoney(pricing.savings + promoDiscount)
+});
+
+// Compare pricing fields sent by the client against the computed pricing.
+// Fields the client did not send are ignored; returns a list of mismatches.
+export const findPriceMismatches = (clientValues, pricing) => {
+  return PRICING_FIELDS
+    .filter((field) => clientValues[field] !== undefined && clientValues[field] !== null && clientValues[field] !== '')
+    .filter((field) => {
+      const sent = Number(clientValues[field]);
+      return Number.isNaN(sent) || Math.abs(sent - pricing[field]) > PRICE_TOLERANCE;
+    })
+    .map((field) => ({
+      field,
+      expected: pricing[field],
+      received: clientValues[field]
+    }));
+};
@@ -0,0 +1,86 @@
+// Time zone helpers for store-local dates and times, built on Intl so the
+// store's configured time zone is respected without extra dependencies.
+
+// Parse 'HH:MM' into minutes after midnight
+export const parseTime = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Format minutes after midnight as 'HH:MM'
+export const formatTime = (minutes) => {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+const getParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  return Object.fromEntries(parts.map((part) => [part.type, Number(part.value)]));
+};
+
+// Offset of the time zone from UTC at a given instant, in milliseconds
+const getOffsetMs = (date, timeZone) => {
+  const p = getParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+// Day of week (0 = Sunday) of a 'YYYY-MM-DD' calendar date
+export const getWeekday = (dateString) => new Date(`${dateString}T00:00:00Z`).getUTCDay();
+
+// Local calendar date ('YYYY-MM-DD'), minutes after midnight and weekday of
+// an instant in the given time zone
+export const getZonedParts = (date, timeZone) => {
+  const p = getParts(date, timeZone);
+  const dateString = `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+
+  return {
+    date: dateString,
+    minutes: p.hour * 60 + p.minute,
+    weekday: getWeekday(dateString)
+  };
+};
+
+// Instant at which a local date ('YYYY-MM-DD') and time (minutes after
+// midnight) occur in the given time zone
+export const zonedTimeToUtc = (dateString, minutes, timeZone) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const guess = Date.UTC(year, month - 1, day, 0, minutes);
+
+  let offset = getOffsetMs(new Date(guess), timeZone);
+  let result = guess - offset;
+
+  // Correct once if the offset differs on the other side of a DST change
+  const actualOffset = getOffsetMs(new Date(result), timeZone);
+  if (actualOffset !== offset) {
+    offset = actualOffset;
+    result = guess - offset;
+  }
+
+  return new Date(result);
+};
+
+// Add whole days to a 'YYYY-MM-DD' date
+export const addDays = (dateString, days) => {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+// Instant a date bound of a query stands for. A bare date ('YYYY-MM-DD') is
+// a day in the given time zone: its start, or its last millisecond with
+// `endOfDay`. Full timestamps are taken as they are.
+export const parseDateBound = (value, timeZone, { endOfDay = false } = {}) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return new Date(value);
+  if (!endOfDay) return zonedTimeToUtc(value, 0, timeZone);
+  return new Date(zonedTimeToUtc(addDays(value, 1), 0, timeZone).getTime() - 1);
+};